@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Whistant Local - Headless CLI / daemon
+ * Same services as the Electron app (lib/), for servers without a display.
+ * Reads and writes the same registration.json as the app.
+ */
+
+const HELP = `Usage: whistant-local <command> [options]
+
+Commands:
+  register --code ABC123   Link this server using the code shown on the iPhone,
+                           then keep serving (add --exit to stop after linking)
+  status                   Show registration, backend and tunnel status
+  unlink                   Remove the local registration
+  run                      Start Ollama config, auth proxy and tunnel, and
+                           keep them monitored until stopped (Ctrl+C)
+  diagnostics [--out f]    Write a zip of logs, system info and the redacted
+                           registration for support
+
+Options:
+  --data-dir <path>        Data directory (default: the app's userData folder,
+                           or WHISTANT_DATA_DIR)
+  -h, --help               Show this help
+`
+
+/**
+ * Parse argv into { command, options } ("--key value", "--key=value" or "--flag")
+ */
+function parseArgs(argv) {
+	const options = {}
+	let command = null
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i]
+		if (arg === '-h' || arg === '--help') {
+			options.help = true
+		} else if (arg.startsWith('--')) {
+			const [key, inline] = arg.slice(2).split('=', 2)
+			if (inline !== undefined) {
+				options[key] = inline
+			} else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('-')) {
+				options[key] = argv[++i]
+			} else {
+				options[key] = true
+			}
+		} else if (!command) {
+			command = arg
+		}
+	}
+	return { command, options }
+}
+
+const { command, options } = parseArgs(process.argv.slice(2))
+
+if (options.help || !command) {
+	process.stdout.write(HELP)
+	process.exit(options.help ? 0 : 1)
+}
+
+// Data directory must be set before config loads the .env from it
+if (typeof options['data-dir'] === 'string') {
+	require('./lib/paths').setUserDataDir(options['data-dir'])
+}
+
+// Console output also goes to app.log, shown in the desktop app's log viewer
+require('./lib/logger').captureConsole()
+
+const fs = require('fs')
+const config = require('./lib/config')
+const { getUserDataDir } = require('./lib/paths')
+const { closeLogs } = require('./lib/logs')
+const { probeTunnel } = require('./lib/tunnel-health')
+const { getBackend } = require('./lib/backends')
+const { readRegistration, saveRegistration, getRegistrationPath } = require('./lib/registration')
+const {
+	initServices,
+	registerServer,
+	storeRegistration,
+	startServices,
+	stopServices,
+	monitorServices,
+} = require('./lib/service')
+const { buildDiagnosticsBundle } = require('./lib/diagnostics')
+
+/**
+ * Exit once the log files have been written out
+ */
+async function exit(code) {
+	await closeLogs().catch(() => {})
+	process.exit(code)
+}
+
+/**
+ * Keep services running and monitored until SIGINT/SIGTERM
+ */
+function runDaemon() {
+	// Start service monitoring every 30 minutes (1800000 ms)
+	const monitor = setInterval(monitorServices, 1800000)
+	console.log('🔍 Service monitoring started (every 30 minutes)')
+
+	const shutdown = async (signal) => {
+		console.log(`🛑 ${signal} received, stopping services...`)
+		clearInterval(monitor)
+		await stopServices().catch(e => console.error('Error stopping services:', e.message))
+		await exit(0)
+	}
+	process.on('SIGINT', () => shutdown('SIGINT'))
+	process.on('SIGTERM', () => shutdown('SIGTERM'))
+}
+
+async function cmdRun() {
+	initServices()
+	runDaemon()
+	const tunnelUrl = await startServices()
+	if (!readRegistration()?.registered) {
+		console.warn('⚠️  Not linked yet. Run "whistant-local register --code <code>" to link this server.')
+	}
+	console.log(`🚀 Serving ${tunnelUrl || config.PROXY_URL}`)
+}
+
+async function cmdRegister() {
+	const code = typeof options.code === 'string' ? options.code.trim() : ''
+	if (!code) {
+		console.error('❌ Missing link code: whistant-local register --code ABC123')
+		await exit(1)
+	}
+
+	initServices()
+	if (!options.exit) {
+		runDaemon()
+	}
+	await startServices()
+
+	const result = await registerServer(code)
+	if (!result.success || !result.data?.registered) {
+		console.error('❌ Registration failed:', result.error || 'unknown error')
+		await stopServices()
+		await exit(1)
+	}
+
+	// Same fields the app saves after linking
+	storeRegistration({
+		os: result.data.os || '-',
+		device: result.data.device || '-',
+		models: result.data.models || [],
+		url: result.data.url || '-',
+		nvidiaDriver: result.data.nvidiaDriver || '-',
+		cudaVersion: result.data.cudaVersion || '-',
+		userId: result.data.userId || code,
+		serverId: result.data.serverId,
+		username: result.data.username,
+		proxySecret: result.data.proxySecret,
+		registered: true,
+		timestamp: new Date().toISOString(),
+	})
+	console.log(`✅ Linked as ${result.data.username || '-'} (server ${result.data.serverId || '-'})`)
+	console.log(`   URL: ${result.data.url}`)
+
+	if (options.exit) {
+		await stopServices()
+		await exit(0)
+	}
+}
+
+async function cmdStatus() {
+	const registration = readRegistration()
+	console.log(`📁 Data directory: ${getUserDataDir()}`)
+	if (registration?.registered) {
+		console.log('🔗 Registration: linked')
+		console.log(`   Username:  ${registration.username || '-'}`)
+		console.log(`   Server ID: ${registration.serverId || '-'}`)
+		console.log(`   URL:       ${registration.url || '-'}`)
+		console.log(`   Models:    ${(registration.models || []).join(', ') || '-'}`)
+		console.log(`   Linked at: ${registration.timestamp || '-'}`)
+	} else {
+		console.log('🔗 Registration: not linked')
+	}
+
+	const backend = getBackend()
+	const backendUp = await backend.checkHealth()
+	const version = backendUp ? await backend.getVersion().catch(() => null) : null
+	const state = backendUp ? ['running', version].filter(Boolean).join(' ') : 'not reachable'
+	console.log(`🦙 ${backend.label} (${backend.url}): ${state}`)
+
+	// The tunnel belongs to the process serving it (the app or `run`), so probe the registered URL
+	if (registration?.registered && /^https?:\/\//.test(registration.url || '')) {
+		const probe = await probeTunnel(registration.url, registration.proxySecret, 10000, backend.probePath)
+		const reach = probe.ok ? `reachable (${probe.latencyMs} ms)` : `not reachable (${probe.error})`
+		console.log(`🌐 Tunnel: ${registration.url} ${reach}`)
+	} else {
+		console.log('🌐 Tunnel: no registered URL')
+	}
+}
+
+function cmdUnlink() {
+	if (!readRegistration()) {
+		console.log('⏭️  Not linked, nothing to remove')
+		return
+	}
+	saveRegistration(null)
+	console.log(`✅ Removed ${getRegistrationPath()}`)
+}
+
+async function cmdDiagnostics() {
+	const { fileName, buffer } = await buildDiagnosticsBundle()
+	const outPath = typeof options.out === 'string' ? options.out : fileName
+	fs.writeFileSync(outPath, buffer)
+	console.log(`✅ Diagnostics written to ${outPath}`)
+}
+
+const commands = {
+	run: cmdRun,
+	register: cmdRegister,
+	status: cmdStatus,
+	unlink: cmdUnlink,
+	diagnostics: cmdDiagnostics,
+}
+
+if (!commands[command]) {
+	console.error(`❌ Unknown command: ${command}\n`)
+	process.stdout.write(HELP)
+	exit(1)
+} else {
+	Promise.resolve(commands[command]()).catch(error => {
+		console.error('❌', error.message)
+		return exit(1)
+	})
+}
@@ -0,0 +1,104 @@
+/**
+ * Whistant Desktop App - Audit log of tunneled requests
+ * One JSON record per line in audit.log next to registration.json.
+ */
+
+const path = require('path')
+const { StringDecoder } = require('string_decoder')
+const { createRotatingLog } = require('./rotating-log')
+
+const AUDIT_FILE = 'audit.log'
+
+// Newest records scanned by query() (about 2 MB of audit.log)
+const MAX_SCAN_LINES = 10000
+
+// Final chunks larger than this are not worth parsing for token counts
+const MAX_TAIL_CHARS = 1024 * 1024
+
+/**
+ * Open the audit log in dataDir
+ */
+function createAuditLog(dataDir) {
+	const log = createRotatingLog(path.join(dataDir, AUDIT_FILE), { maxBytes: 5 * 1024 * 1024, maxFiles: 3 })
+
+	function record(entry) {
+		log.append(JSON.stringify(entry))
+	}
+
+	/**
+	 * Newest records first, from the last MAX_SCAN_LINES records
+	 * filter: { search, endpoint, model, status: 'success' | 'error', limit }
+	 */
+	async function query(filter = {}) {
+		const limit = filter.limit || 500
+		const search = (filter.search || '').toLowerCase()
+		const results = []
+
+		const lines = await log.readLines(MAX_SCAN_LINES)
+		for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+			let entry
+			try {
+				entry = JSON.parse(lines[i])
+			} catch {
+				continue
+			}
+
+			if (filter.endpoint && entry.endpoint !== filter.endpoint) continue
+			if (filter.model && entry.model !== filter.model) continue
+			if (filter.status === 'success' && entry.status >= 400) continue
+			if (filter.status === 'error' && entry.status < 400) continue
+			if (search && !`${entry.endpoint} ${entry.model || ''} ${entry.client || ''}`.toLowerCase().includes(search)) continue
+
+			results.push(entry)
+		}
+		return results
+	}
+
+	return { filePath: log.filePath, record, query }
+}
+
+/**
+ * Watch a response body for the final chunk and pull out usage counters
+ * Works for Ollama's streamed NDJSON, OpenAI-style SSE ("data: ..." lines,
+ * usage in the last chunk before [DONE]) and single JSON responses
+ */
+function createUsageTap() {
+	const decoder = new StringDecoder('utf-8')
+	let tail = ''
+	let lastLine = null
+
+	function write(chunk) {
+		tail += decoder.write(chunk)
+		const lines = tail.split('\n')
+		tail = lines.pop()
+		for (const line of lines) {
+			if (line.trim() && !/^data:\s*\[DONE\]/.test(line)) lastLine = line
+		}
+		if (tail.length > MAX_TAIL_CHARS) {
+			tail = ''
+		}
+	}
+
+	function usage() {
+		const rest = (tail + decoder.end()).trim()
+		const candidate = rest && !/^data:\s*\[DONE\]/.test(rest) ? rest : lastLine
+		if (!candidate) return {}
+		try {
+			const data = JSON.parse(candidate.replace(/^data:\s*/, ''))
+			return {
+				promptTokens: data.prompt_eval_count ?? data.usage?.prompt_tokens ?? null,
+				outputTokens: data.eval_count ?? data.usage?.completion_tokens ?? null,
+				totalDurationMs: data.total_duration ? Math.round(data.total_duration / 1e6) : null,
+			}
+		} catch {
+			return {}
+		}
+	}
+
+	return { write, usage }
+}
+
+module.exports = {
+	createAuditLog,
+	createUsageTap,
+}
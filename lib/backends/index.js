@@ -0,0 +1,74 @@
+/**
+ * Whistant Desktop App - Inference backends
+ * Every backend exposes the same interface:
+ *   type                  'ollama' or 'openai'
+ *   label                 name for logs and the UI
+ *   url                   base URL the auth proxy forwards to
+ *   probePath             GET path the tunnel health check requests through the proxy
+ *   upstreamHeaders       headers added to forwarded requests (API key)
+ *   managesModels         whether models can be pulled, deleted and inspected
+ *   listModels()          resolves with [{ name, digest, size, details }], throws when unreachable
+ *   listLoadedModels()    resolves with the names of the models in memory
+ *   getVersion()          resolves with the server version or null
+ *   checkHealth()         resolves true while the server answers
+ * BACKEND_TYPE picks one: ollama (default) or openai (llama.cpp, vLLM, LM Studio).
+ * BACKEND_URLS adds more servers of that type; getBackend() pools them all
+ * (the pool adds getTargets, getModelUrls, reportFailure and getStatus for routing).
+ */
+
+const config = require('../config')
+const { createOllamaBackend } = require('./ollama')
+const { createOpenAIBackend } = require('./openai')
+const { createBackendPool } = require('./pool')
+const { createLogger } = require('../logger')
+
+const log = createLogger('backend')
+
+const BACKEND_TYPES = ['ollama', 'openai']
+
+let backend = null
+let backendKey = null  // Config the cached backend was built from
+
+/**
+ * Create the backend selected by cfg.BACKEND_TYPE
+ * url overrides the type's configured URL (for the servers in BACKEND_URLS)
+ */
+function createBackend(cfg = config, url = null) {
+	const type = String(cfg.BACKEND_TYPE || 'ollama').trim().toLowerCase()
+
+	switch (type) {
+		case 'openai':
+			return createOpenAIBackend({
+				url: String(url || cfg.OPENAI_BACKEND_URL).replace(/\/+$/, ''),
+				apiKey: cfg.OPENAI_BACKEND_API_KEY,
+			})
+		default:
+			if (type !== 'ollama') {
+				log.warn(`⚠️  Unknown BACKEND_TYPE "${type}" (expected ${BACKEND_TYPES.join(', ')}), using ollama`)
+			}
+			return createOllamaBackend({ url: String(url || cfg.OLLAMA_SERVER_URL).replace(/\/+$/, '') })
+	}
+}
+
+/**
+ * The configured backend and the ones in BACKEND_URLS as one pool
+ * (see pool.js), rebuilt when their settings change
+ */
+function getBackend() {
+	const key = [config.BACKEND_TYPE, config.OLLAMA_SERVER_URL, config.OPENAI_BACKEND_URL, config.OPENAI_BACKEND_API_KEY, ...config.BACKEND_URLS].join('|')
+	if (!backend || key !== backendKey) {
+		const primary = createBackend()
+		const others = config.BACKEND_URLS
+			.map(url => createBackend(config, url))
+			.filter((other, index, list) => other.url !== primary.url && list.findIndex(b => b.url === other.url) === index)
+		backend = createBackendPool([primary, ...others])
+		backendKey = key
+	}
+	return backend
+}
+
+module.exports = {
+	BACKEND_TYPES,
+	createBackend,
+	getBackend,
+}
@@ -0,0 +1,54 @@
+/**
+ * Whistant Desktop App - Ollama backend
+ * Native Ollama API: /api/tags, /api/ps and /api/version.
+ */
+
+const axios = require('axios')
+
+/**
+ * Create a backend for the Ollama at url
+ */
+function createOllamaBackend({ url }) {
+	const get = (path) => axios.get(`${url}${path}`, { timeout: 5000 })
+
+	async function listModels() {
+		const response = await get('/api/tags')
+		return response.data.models || []
+	}
+
+	async function listLoadedModels() {
+		const response = await get('/api/ps')
+		return (response.data.models || []).map(m => m.name)
+	}
+
+	async function getVersion() {
+		const response = await get('/api/version')
+		return response.data.version || null
+	}
+
+	async function checkHealth() {
+		try {
+			await get('/api/version')
+			return true
+		} catch (e) {
+			return false
+		}
+	}
+
+	return {
+		type: 'ollama',
+		label: 'Ollama',
+		url,
+		probePath: '/api/version',
+		upstreamHeaders: {},
+		managesModels: true,
+		listModels,
+		listLoadedModels,
+		getVersion,
+		checkHealth,
+	}
+}
+
+module.exports = {
+	createOllamaBackend,
+}
@@ -0,0 +1,119 @@
+/**
+ * Whistant Desktop App - OpenAI-compatible backend
+ * llama.cpp llama-server, vLLM, LM Studio and other servers with /v1/models.
+ * Model metadata differs per server, so whatever is known is mapped onto
+ * Ollama's /api/tags fields ({ name, digest, size, details }).
+ */
+
+const axios = require('axios')
+
+/**
+ * "7.2B" / "350M" from a raw parameter count
+ */
+function formatParameterCount(count) {
+	if (!Number.isFinite(count) || count <= 0) return null
+	if (count >= 1e9) return `${(count / 1e9).toFixed(1).replace(/\.0$/, '')}B`
+	return `${Math.round(count / 1e6)}M`
+}
+
+/**
+ * Quantization from a GGUF-style model id such as "qwen2.5-7b-instruct-q4_k_m.gguf"
+ */
+function quantizationFromName(name) {
+	const match = String(name).match(/(?:^|[-_.])(I?Q\d(?:_[A-Z0-9]+)*|BF16|F16|F32)(?=$|[-_.])/i)
+	return match ? match[1].toUpperCase() : null
+}
+
+/**
+ * Map a /v1/models entry to the /api/tags shape
+ * llama.cpp adds meta (n_params, size, n_ctx_train); vLLM adds max_model_len.
+ */
+function toModelTag(model) {
+	const meta = model.meta || {}
+	return {
+		name: model.id,
+		digest: null,
+		size: meta.size || null,
+		details: {
+			parameter_size: formatParameterCount(meta.n_params),
+			quantization_level: quantizationFromName(model.id),
+			family: null,
+			context_length: meta.n_ctx_train || model.max_model_len || null,
+		},
+	}
+}
+
+/**
+ * Create a backend for the OpenAI-compatible server at url
+ * apiKey is sent as a bearer token when the server requires one (vLLM --api-key).
+ */
+function createOpenAIBackend({ url, apiKey = '' }) {
+	const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+	const get = (path, options = {}) => axios.get(`${url}${path}`, { timeout: 5000, headers, ...options })
+
+	async function listModels() {
+		const response = await get('/v1/models')
+		if (!Array.isArray(response.data?.data)) {
+			throw new Error('Not an OpenAI-compatible server (no model list at /v1/models)')
+		}
+		return response.data.data.map(toModelTag)
+	}
+
+	/**
+	 * LM Studio reports which models are loaded; llama.cpp and vLLM serve
+	 * exactly the models they list, so all of them count as loaded
+	 */
+	async function listLoadedModels() {
+		try {
+			const response = await get('/api/v0/models')
+			if (Array.isArray(response.data?.data)) {
+				return response.data.data.filter(m => m.state === 'loaded').map(m => m.id)
+			}
+		} catch (e) {}
+		return (await listModels()).map(m => m.name)
+	}
+
+	/**
+	 * vLLM answers /version, llama.cpp reports its build in /props; null when neither does
+	 */
+	async function getVersion() {
+		const vllm = await get('/version').catch(() => null)
+		if (vllm?.data?.version) return String(vllm.data.version)
+		const llamaCpp = await get('/props').catch(() => null)
+		if (llamaCpp?.data?.build_info) return String(llamaCpp.data.build_info)
+		return null
+	}
+
+	/**
+	 * /health (llama.cpp answers 503 while loading); servers without it must list models
+	 */
+	async function checkHealth() {
+		try {
+			const response = await get('/health', { validateStatus: () => true })
+			if (response.status !== 404) return response.status === 200
+			await listModels()
+			return true
+		} catch (e) {
+			return false
+		}
+	}
+
+	return {
+		type: 'openai',
+		label: 'OpenAI API',
+		url,
+		probePath: '/v1/models',
+		upstreamHeaders: headers,
+		managesModels: false,
+		listModels,
+		listLoadedModels,
+		getVersion,
+		checkHealth,
+	}
+}
+
+module.exports = {
+	formatParameterCount,
+	quantizationFromName,
+	createOpenAIBackend,
+}
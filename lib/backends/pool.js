@@ -0,0 +1,184 @@
+/**
+ * Whistant Desktop App - Several backends behind one registration
+ * Presents the backend interface over every configured backend: model lists
+ * are merged, and each request is routed to a backend that has its model,
+ * with backends that are down tried last.
+ */
+
+const { normalizeModelName } = require('../model-allowlist')
+const { createLogger } = require('../logger')
+
+const log = createLogger('backend')
+
+/**
+ * Create a pool over backends (the first is the primary, e.g. the local Ollama)
+ * Health comes from model list polls and checkHealth(), and from the proxy
+ * through reportFailure() when a forwarded request cannot connect.
+ */
+function createBackendPool(backends) {
+	const primary = backends[0]
+	const members = backends.map(backend => ({
+		backend,
+		healthy: true,     // Optimistic until the first check
+		models: [],        // Last model list, kept while the backend is down
+		lastError: null,
+		lastCheck: null,
+	}))
+	let rotation = 0  // Spreads requests over backends that share a model
+
+	function markUp(member, models) {
+		if (!member.healthy) {
+			log.info(`✅ Backend ${member.backend.url} is back`)
+		}
+		member.healthy = true
+		member.lastError = null
+		member.lastCheck = new Date().toISOString()
+		if (models) member.models = models
+	}
+
+	function markDown(member, error) {
+		if (member.healthy) {
+			log.warn(`⚠️  Backend ${member.backend.url} is down: ${error.code || error.message}`)
+		}
+		member.healthy = false
+		member.lastError = error.code || error.message
+		member.lastCheck = new Date().toISOString()
+	}
+
+	/**
+	 * Every backend's models, merged by name (the first backend's details win)
+	 * A backend that is down keeps its last list, so a short outage does not
+	 * unpublish its models. Throws when no backend answers.
+	 */
+	async function listModels() {
+		const results = await Promise.all(members.map(member =>
+			member.backend.listModels().then(
+				models => { markUp(member, models); return true },
+				error => { markDown(member, error); return false },
+			)
+		))
+		if (!results.some(Boolean)) {
+			throw new Error(`No backend reachable (${members.map(m => `${m.backend.url}: ${m.lastError}`).join(', ')})`)
+		}
+
+		const merged = new Map()
+		for (const member of members) {
+			for (const model of member.models) {
+				const entry = merged.get(model.name)
+				if (entry) {
+					entry.urls.push(member.backend.url)
+				} else {
+					merged.set(model.name, { ...model, urls: [member.backend.url] })
+				}
+			}
+		}
+		return [...merged.values()]
+	}
+
+	async function listLoadedModels() {
+		const lists = await Promise.all(members.filter(m => m.healthy).map(m => m.backend.listLoadedModels().catch(() => [])))
+		return [...new Set(lists.flat())]
+	}
+
+	/**
+	 * Version of the first backend that reports one
+	 */
+	async function getVersion() {
+		for (const member of members) {
+			const version = await member.backend.getVersion().catch(() => null)
+			if (version) return version
+		}
+		return null
+	}
+
+	/**
+	 * Check every backend; true while at least one answers
+	 */
+	async function checkHealth() {
+		const results = await Promise.all(members.map(async (member) => {
+			if (await member.backend.checkHealth()) {
+				markUp(member)
+				return true
+			}
+			markDown(member, new Error('health check failed'))
+			return false
+		}))
+		return results.some(Boolean)
+	}
+
+	/**
+	 * Backend URLs to try for a request, in order
+	 * With a model: backends that have it (all of them when none does), up ones
+	 * first and taking turns. Without one: the primary first.
+	 */
+	function getTargets(model) {
+		let candidates = members
+		if (model) {
+			// "llama3" is "llama3:latest", as in the allowlist
+			const wanted = normalizeModelName(model)
+			const withModel = members.filter(m => m.models.some(entry => normalizeModelName(entry.name) === wanted))
+			if (withModel.length > 0) candidates = withModel
+		}
+
+		let up = candidates.filter(m => m.healthy)
+		const down = candidates.filter(m => !m.healthy)
+		if (model && up.length > 1) {
+			const start = rotation++ % up.length
+			up = [...up.slice(start), ...up.slice(0, start)]
+		}
+		return [...up, ...down].map(m => m.backend.url)
+	}
+
+	/**
+	 * URLs of the backends whose last model list has the model, primary first
+	 * (empty when none does; model management uses it, requests use getTargets)
+	 */
+	function getModelUrls(model) {
+		const wanted = normalizeModelName(model)
+		return members
+			.filter(m => m.models.some(entry => normalizeModelName(entry.name) === wanted))
+			.map(m => m.backend.url)
+	}
+
+	/**
+	 * A forwarded request could not reach url; later requests try it last
+	 */
+	function reportFailure(url, error) {
+		const member = members.find(m => m.backend.url === url)
+		if (member) markDown(member, error)
+	}
+
+	/**
+	 * Per backend: { url, healthy, models, lastError, lastCheck }
+	 */
+	function getStatus() {
+		return members.map(m => ({
+			url: m.backend.url,
+			healthy: m.healthy,
+			models: m.models.map(entry => entry.name),
+			lastError: m.lastError,
+			lastCheck: m.lastCheck,
+		}))
+	}
+
+	return {
+		type: primary.type,
+		label: primary.label,
+		url: primary.url,
+		probePath: primary.probePath,
+		upstreamHeaders: primary.upstreamHeaders,
+		managesModels: primary.managesModels,
+		listModels,
+		listLoadedModels,
+		getVersion,
+		checkHealth,
+		getTargets,
+		getModelUrls,
+		reportFailure,
+		getStatus,
+	}
+}
+
+module.exports = {
+	createBackendPool,
+}
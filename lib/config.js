@@ -0,0 +1,266 @@
+/**
+ * Whistant Desktop App - Runtime configuration
+ * Built-in defaults, overlaid by config/defaults.json, overlaid by the user's
+ * settings.json, overlaid by .env / environment variables.
+ * Shared by the Electron app and the CLI.
+ */
+
+// Load environment variables with fallbacks for AppImage/runtime
+const dotenv = require('dotenv')
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const { getUserDataDir } = require('./paths')
+const { DEFAULT_ALLOWED_ROUTES, DEFAULT_OPENAI_ALLOWED_ROUTES, parseRoutePolicy } = require('./route-policy')
+const { resolveOllamaBind } = require('./ollama-bind')
+
+// User settings written by the settings screen, in the data directory
+const SETTINGS_FILE = 'settings.json'
+
+function loadEnv() {
+	// 1) Try current working directory
+	const cwdEnv = path.join(process.cwd(), '.env')
+	if (fs.existsSync(cwdEnv)) {
+		dotenv.config({ path: cwdEnv })
+		return
+	}
+	// 2) Try user home config: ~/.whistant_local/.env
+	const homeEnvDir = path.join(os.homedir(), '.whistant_local')
+	const homeEnv = path.join(homeEnvDir, '.env')
+	if (fs.existsSync(homeEnv)) {
+		dotenv.config({ path: homeEnv })
+		return
+	}
+	// 3) Try the userData directory (Electron's, or the CLI equivalent)
+	try {
+		const userDataEnv = path.join(getUserDataDir(), '.env')
+		if (fs.existsSync(userDataEnv)) {
+			dotenv.config({ path: userDataEnv })
+			return
+		}
+	} catch {}
+	// If none found, proceed with defaults below
+}
+
+/**
+ * Load built-in defaults and then overlay defaults.json
+ */
+function loadDefaults() {
+	let defaults = {
+		WHISTANT_SERVER_URL: 'https://whisolla.com:2087',
+		OLLAMA_SERVER_URL: '',  // Empty: follows OLLAMA_BIND and OLLAMA_PORT
+		OLLAMA_BIND: 'loopback',
+		OLLAMA_BIND_ADDRESS: '',
+		OLLAMA_PORT: 11434,
+		BACKEND_TYPE: 'ollama',
+		OPENAI_BACKEND_URL: 'http://127.0.0.1:8080',
+		OPENAI_BACKEND_API_KEY: '',
+		BACKEND_URLS: '',
+		PROXY_PORT: 11435,
+		ALLOWED_ROUTES: DEFAULT_ALLOWED_ROUTES,
+		MAX_CONCURRENT_GENERATIONS: 1,
+		MAX_QUEUE_SIZE: 8,
+		QUEUE_TIMEOUT_MS: 120000,
+		RATE_LIMIT_PER_MINUTE: 30,
+		TUNNEL_PROVIDER: 'cloudflared',
+		TUNNEL_TOKEN: '',
+		TUNNEL_CREDENTIALS_FILE: '',
+		TUNNEL_NAME: '',
+		TUNNEL_HOSTNAME: '',
+		TUNNEL_PUBLIC_URL: '',
+		TUNNEL_URL_REGEX: '',
+		TUNNEL_COMMAND: '',
+		TUNNEL_SSH_HOST: '',
+		TUNNEL_SSH_PORT: 22,
+		TUNNEL_SSH_REMOTE_PORT: 80,
+		TUNNEL_SSH_KEY: '',
+		TUNNEL_HEALTH_INTERVAL_MS: 60000,
+		TUNNEL_HEALTH_TIMEOUT_MS: 10000,
+		TUNNEL_HEALTH_FAILURES: 3,
+		HEARTBEAT_INTERVAL_MS: 60000,
+		MODEL_SYNC_INTERVAL_MS: 30000,
+		GPU_TELEMETRY_INTERVAL_MS: 5000,
+		LOG_LEVEL: 'info',
+	}
+	try {
+		const defaultsPath = path.join(__dirname, '..', 'config', 'defaults.json')
+		if (fs.existsSync(defaultsPath)) {
+			const raw = fs.readFileSync(defaultsPath, 'utf-8')
+			const parsed = JSON.parse(raw)
+			defaults = { ...defaults, ...parsed }
+		}
+	} catch (e) {
+		console.warn('⚠️  Failed to load defaults.json, using hardcoded defaults')
+	}
+	return defaults
+}
+
+function getSettingsPath() {
+	return path.join(getUserDataDir(), SETTINGS_FILE)
+}
+
+/**
+ * Read the user settings saved by the settings screen (settings.json in the data directory)
+ */
+function loadUserSettings() {
+	try {
+		const settingsPath = getSettingsPath()
+		if (fs.existsSync(settingsPath)) {
+			return JSON.parse(fs.readFileSync(settingsPath, 'utf-8'))
+		}
+	} catch (e) {
+		console.warn('⚠️  Failed to load settings.json, ignoring user settings:', e.message)
+	}
+	return {}
+}
+
+loadEnv()
+const DEFAULTS = loadDefaults()
+const ENV_KEYS = new Set(Object.keys(DEFAULTS).filter(key => process.env[key]))
+
+// Where each value came from: 'env', 'user' or 'default'
+const sources = {}
+
+// Default Ollama URL, derived from the bind address on every resolve
+let derivedOllamaUrl = null
+
+/**
+ * Split a comma-separated list (or take an array) into trimmed, non-empty entries
+ */
+function parseList(value) {
+	const entries = Array.isArray(value) ? value : String(value || '').split(',')
+	return entries.map(entry => String(entry).trim()).filter(Boolean)
+}
+
+/**
+ * Resolve the bind settings; a bad interface falls back to loopback so the app still starts
+ */
+function resolveBind(policy, address, port) {
+	try {
+		return resolveOllamaBind({ policy, address, port })
+	} catch (e) {
+		console.warn(`⚠️  ${e.message}, binding Ollama to loopback`)
+		return resolveOllamaBind({ policy: 'loopback', port })
+	}
+}
+
+/**
+ * Resolve every value: environment (.env included) > settings.json > defaults
+ */
+function resolveConfig(userSettings) {
+	const setting = (key) => {
+		if (ENV_KEYS.has(key)) {
+			sources[key] = 'env'
+			return process.env[key]
+		}
+		if (userSettings[key] !== undefined && userSettings[key] !== '') {
+			sources[key] = 'user'
+			return userSettings[key]
+		}
+		sources[key] = 'default'
+		return DEFAULTS[key]
+	}
+
+	// Address of the Ollama the app starts: loopback, interface (OLLAMA_BIND_ADDRESS) or all
+	const bind = resolveBind(
+		String(setting('OLLAMA_BIND')).toLowerCase(),
+		setting('OLLAMA_BIND_ADDRESS'),
+		Number(setting('OLLAMA_PORT')),
+	)
+	derivedOllamaUrl = bind.url
+
+	const backendType = String(setting('BACKEND_TYPE')).trim().toLowerCase()
+	const allowedRoutes = setting('ALLOWED_ROUTES')
+
+	const resolved = {
+		WHISTANT_SERVER_URL: setting('WHISTANT_SERVER_URL'),
+		// Set it for an Ollama elsewhere; otherwise the app talks to the address it binds
+		OLLAMA_SERVER_URL: setting('OLLAMA_SERVER_URL') || bind.url,
+		OLLAMA_BIND: bind.policy,
+		OLLAMA_BIND_ADDRESS: setting('OLLAMA_BIND_ADDRESS'),
+		OLLAMA_PORT: bind.port,
+		// OLLAMA_HOST given to `ollama serve` and the systemd override
+		OLLAMA_HOST: bind.ollamaHost,
+
+		// Server the proxy forwards to: ollama, or openai for an OpenAI-compatible server (llama.cpp, vLLM, LM Studio)
+		BACKEND_TYPE: backendType,
+		OPENAI_BACKEND_URL: setting('OPENAI_BACKEND_URL'),
+		OPENAI_BACKEND_API_KEY: setting('OPENAI_BACKEND_API_KEY'),
+		// More servers of the same type on other machines, published through the same registration
+		BACKEND_URLS: parseList(setting('BACKEND_URLS')),
+		PROXY_PORT: Number(setting('PROXY_PORT')),
+
+		// Endpoints reachable through the tunnel (comma-separated "METHOD /path" list in .env);
+		// the built-in list only fits Ollama, so OpenAI-compatible backends get their own
+		ALLOWED_ROUTES: backendType === 'openai' && sources.ALLOWED_ROUTES === 'default'
+			? parseRoutePolicy(DEFAULT_OPENAI_ALLOWED_ROUTES)
+			: parseRoutePolicy(allowedRoutes),
+
+		// Scheduling of tunneled generations
+		MAX_CONCURRENT_GENERATIONS: Number(setting('MAX_CONCURRENT_GENERATIONS')),
+		MAX_QUEUE_SIZE: Number(setting('MAX_QUEUE_SIZE')),
+		QUEUE_TIMEOUT_MS: Number(setting('QUEUE_TIMEOUT_MS')),
+		RATE_LIMIT_PER_MINUTE: Number(setting('RATE_LIMIT_PER_MINUTE')),
+
+		// Tunnel provider: cloudflared, ssh or custom
+		TUNNEL_PROVIDER: setting('TUNNEL_PROVIDER'),
+
+		// Named Cloudflare tunnel (stable hostname); quick tunnel when unset
+		TUNNEL_TOKEN: setting('TUNNEL_TOKEN'),
+		TUNNEL_CREDENTIALS_FILE: setting('TUNNEL_CREDENTIALS_FILE'),
+		TUNNEL_NAME: setting('TUNNEL_NAME'),
+		TUNNEL_HOSTNAME: setting('TUNNEL_HOSTNAME'),
+
+		// ssh and custom providers
+		TUNNEL_PUBLIC_URL: setting('TUNNEL_PUBLIC_URL'),
+		TUNNEL_URL_REGEX: setting('TUNNEL_URL_REGEX'),
+		TUNNEL_COMMAND: setting('TUNNEL_COMMAND'),
+		TUNNEL_SSH_HOST: setting('TUNNEL_SSH_HOST'),
+		TUNNEL_SSH_PORT: Number(setting('TUNNEL_SSH_PORT')),
+		TUNNEL_SSH_REMOTE_PORT: Number(setting('TUNNEL_SSH_REMOTE_PORT')),
+		TUNNEL_SSH_KEY: setting('TUNNEL_SSH_KEY'),
+
+		// End-to-end probe of the public URL; restart after this many failures in a row
+		TUNNEL_HEALTH_INTERVAL_MS: Number(setting('TUNNEL_HEALTH_INTERVAL_MS')),
+		TUNNEL_HEALTH_TIMEOUT_MS: Number(setting('TUNNEL_HEALTH_TIMEOUT_MS')),
+		TUNNEL_HEALTH_FAILURES: Number(setting('TUNNEL_HEALTH_FAILURES')),
+
+		// Live status sent to Whistant (0 disables)
+		HEARTBEAT_INTERVAL_MS: Number(setting('HEARTBEAT_INTERVAL_MS')),
+
+		// How often /api/tags is checked for pulled or deleted models
+		MODEL_SYNC_INTERVAL_MS: Number(setting('MODEL_SYNC_INTERVAL_MS')),
+
+		// How often GPU utilization, memory, temperature and power are sampled (0 disables)
+		GPU_TELEMETRY_INTERVAL_MS: Number(setting('GPU_TELEMETRY_INTERVAL_MS')),
+
+		// Lowest level written to app.log: debug, info, warn or error
+		LOG_LEVEL: String(setting('LOG_LEVEL')).toLowerCase(),
+	}
+
+	// The tunnel targets the auth proxy, never Ollama directly
+	resolved.PROXY_URL = `http://127.0.0.1:${resolved.PROXY_PORT}`
+	return resolved
+}
+
+const config = resolveConfig(loadUserSettings())
+
+// Not enumerable, so they stay out of JSON dumps of the config
+Object.defineProperties(config, {
+	/**
+	 * Where a value came from ('env', 'user' or 'default')
+	 */
+	getSource: { value: (key) => sources[key] || 'default' },
+	/**
+	 * The value a key has without environment or user settings
+	 */
+	getDefault: { value: (key) => key === 'OLLAMA_SERVER_URL' ? DEFAULTS[key] || derivedOllamaUrl : DEFAULTS[key] },
+	getSettingsPath: { value: getSettingsPath },
+	getUserSettings: { value: loadUserSettings },
+	/**
+	 * Re-read settings.json and update the values in place (modules hold this same object)
+	 */
+	reload: { value: () => Object.assign(config, resolveConfig(loadUserSettings())) },
+})
+
+module.exports = config
@@ -0,0 +1,120 @@
+/**
+ * Whistant Desktop App - Diagnostics bundle for support
+ * A zip of the recent logs, system info, configuration and registration,
+ * with tokens, link codes and public URLs scrubbed.
+ */
+
+const config = require('./config')
+const { collectSystemInfo } = require('./system-info')
+const { readRegistration } = require('./registration')
+const { LOG_SOURCES, getLog } = require('./logs')
+const { createZip } = require('./zip')
+const { version } = require('../package.json')
+
+// Newest lines of each log included in the bundle
+const DIAGNOSTICS_LOG_LINES = 5000
+
+const REDACTED = '[redacted]'
+
+// Object keys whose values are always removed
+const SECRET_KEY_PATTERN = /token(?!s)|secret|password|passwd|api[_-]?key|authorization|serverid|link_?code|credentials/i
+
+// Loopback URLs carry no secrets and help with debugging
+const LOCAL_HOST_PATTERN = /^(localhost|127\.\d+\.\d+\.\d+|0\.0\.0\.0|\[::1?\])(:\d+)?$/i
+
+/**
+ * Scrub secrets from free text (log lines)
+ * knownSecrets are exact values (link code, proxy secret, tunnel token, backend API key) removed wherever they appear.
+ */
+function redactText(text, knownSecrets = []) {
+	let result = String(text)
+	for (const secret of knownSecrets) {
+		if (secret && secret.length >= 4) {
+			result = result.split(secret).join(REDACTED)
+		}
+	}
+	return result
+		// JWTs
+		.replace(/eyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED)
+		// Authorization headers
+		.replace(/\b(Bearer|Basic)\s+[\w\-.~+/=]+/gi, `$1 ${REDACTED}`)
+		// key=value, key: value and "key": "value" (also JSON-escaped) for secret-looking keys
+		.replace(/((?:\\?")?[\w-]*(?:token(?!s)|secret|password|passwd|api[_-]?key|link_?code)[\w-]*(?:\\?")?\s*[:=]\s*)(\\?"[^"\\]*\\?"|[^\s,}"\\]+)/gi, (match, key, value) => {
+			const quote = value.match(/^\\?"/)?.[0] || ''
+			return `${key}${quote}${REDACTED}${quote}`
+		})
+		// URLs other than loopback (tunnel hostnames, Whistant server); a backslash ends
+		// them so the \" of a JSON-escaped quote survives
+		.replace(/\b(https?|wss?):\/\/([^\s/"'<>\\]+)[^\s"'<>\\]*/gi, (url, scheme, host) =>
+			LOCAL_HOST_PATTERN.test(host.replace(/^[^@]*@/, '')) ? url : `${scheme}://${REDACTED}`
+		)
+}
+
+/**
+ * Scrub secrets from a JSON value: secret-looking keys are dropped, strings go through redactText
+ */
+function redactValue(value, knownSecrets = []) {
+	if (Array.isArray(value)) {
+		return value.map(item => redactValue(item, knownSecrets))
+	}
+	if (value && typeof value === 'object') {
+		const result = {}
+		for (const [key, item] of Object.entries(value)) {
+			result[key] = SECRET_KEY_PATTERN.test(key) && item ? REDACTED : redactValue(item, knownSecrets)
+		}
+		return result
+	}
+	return typeof value === 'string' ? redactText(value, knownSecrets) : value
+}
+
+/**
+ * Build the diagnostics zip
+ * Resolves with { fileName, buffer }
+ */
+async function buildDiagnosticsBundle() {
+	const now = new Date()
+	const registration = readRegistration()
+	const knownSecrets = [registration?.serverId, registration?.proxySecret, config.TUNNEL_TOKEN, config.OPENAI_BACKEND_API_KEY]
+	const json = (value) => JSON.stringify(redactValue(value, knownSecrets), null, 2)
+
+	const entries = [{
+		name: 'manifest.json',
+		data: JSON.stringify({
+			createdAt: now.toISOString(),
+			appVersion: version,
+			platform: process.platform,
+			arch: process.arch,
+			node: process.versions.node,
+			electron: process.versions.electron || null,
+		}, null, 2),
+	}]
+
+	try {
+		entries.push({ name: 'system-info.json', data: json(collectSystemInfo()) })
+	} catch (error) {
+		entries.push({ name: 'system-info.json', data: JSON.stringify({ error: error.message }) })
+	}
+	entries.push({ name: 'config.json', data: json(config) })
+	entries.push({ name: 'registration.json', data: registration ? json(registration) : '{}' })
+
+	for (const source of Object.keys(LOG_SOURCES)) {
+		const log = getLog(source)
+		const lines = await log.readLines(DIAGNOSTICS_LOG_LINES)
+		entries.push({
+			name: `logs/${source}.log`,
+			data: lines.map(line => redactText(line, knownSecrets)).join('\n') + '\n',
+		})
+	}
+
+	const stamp = now.toISOString().slice(0, 19).replace(/[:T]/g, '-')
+	return {
+		fileName: `whistant-diagnostics-${stamp}.zip`,
+		buffer: createZip(entries, now),
+	}
+}
+
+module.exports = {
+	redactText,
+	redactValue,
+	buildDiagnosticsBundle,
+}
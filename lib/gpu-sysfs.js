@@ -0,0 +1,107 @@
+/**
+ * Whistant Desktop App - Linux GPU detection through sysfs
+ * Reads the PCI attributes of /sys/class/drm/cardN/device, which works without
+ * lspci, rocm-smi or vendor tools, and also sees "3D controller" cards and Intel Arc.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { PCI_VENDORS, lookupPciName, isDiscreteIntel, isAmdApu } = require('./pci-ids')
+
+// APU carve-outs are usually 512 MB to 2 GB; discrete Radeon cards have more
+const AMD_APU_MAX_VRAM_BYTES = 2 * 1024 ** 3
+
+/**
+ * Read a sysfs attribute; null when it does not exist
+ */
+function readSysfsValue(file) {
+	try {
+		return fs.readFileSync(file, 'utf-8').trim()
+	} catch (e) {
+		return null
+	}
+}
+
+/**
+ * Read a sysfs number, decimal or 0x-prefixed hex; null when missing or not positive
+ */
+function readSysfsBytes(file) {
+	const bytes = Number(readSysfsValue(file))
+	return Number.isFinite(bytes) && bytes > 0 ? bytes : null
+}
+
+/**
+ * VRAM of an Intel card (local memory, "lmem")
+ * xe reports it per tile in hex, i915 builds that expose it in the drm card directory.
+ */
+function readIntelVram(cardDir) {
+	return readSysfsBytes(path.join(cardDir, 'device', 'tile0', 'physical_vram_size_bytes'))
+		?? readSysfsBytes(path.join(cardDir, 'lmem_total_bytes'))
+		?? readSysfsBytes(path.join(cardDir, 'prelim_lmem_total_bytes'))
+}
+
+/**
+ * Whether a card is a dedicated GPU rather than integrated graphics
+ * Intel: an Arc device ID or local memory. AMD: not a known APU ID and more
+ * than the usual APU carve-out (unknown APUs only show up by their small VRAM).
+ */
+function isDiscreteGpu(vendor, deviceId, memoryBytes) {
+	if (vendor === 'intel') return isDiscreteIntel(deviceId) || memoryBytes !== null
+	if (vendor === 'amd') return !isAmdApu(deviceId) && !(memoryBytes !== null && memoryBytes <= AMD_APU_MAX_VRAM_BYTES)
+	return true
+}
+
+/**
+ * List GPUs under <sysfsRoot>/class/drm
+ * Returns [{ card, vendor, vendorId, deviceId, name, driver, pciSlot, memoryBytes, discrete }]
+ * memoryBytes comes from mem_info_vram_total (amdgpu) or the local memory size
+ * of xe / i915; other drivers leave it null. discrete is false for Intel and
+ * AMD integrated graphics (see isDiscreteGpu).
+ * Non-GPU vendors (virtual display adapters etc.) are skipped.
+ */
+function detectDrmGpus(sysfsRoot = '/sys') {
+	const drmDir = path.join(sysfsRoot, 'class', 'drm')
+	let entries
+	try {
+		entries = fs.readdirSync(drmDir)
+	} catch (e) {
+		return []
+	}
+
+	// card0, card1... (card0-DP-1 etc. are connectors of those cards)
+	const cards = entries
+		.filter(name => /^card\d+$/.test(name))
+		.sort((a, b) => parseInt(a.slice(4), 10) - parseInt(b.slice(4), 10))
+
+	const gpus = []
+	for (const card of cards) {
+		const deviceDir = path.join(drmDir, card, 'device')
+		const vendorId = readSysfsValue(path.join(deviceDir, 'vendor'))?.toLowerCase()
+		const deviceId = readSysfsValue(path.join(deviceDir, 'device'))?.toLowerCase()
+		const vendorInfo = PCI_VENDORS[vendorId]
+		if (!vendorInfo || !deviceId) continue
+
+		const uevent = readSysfsValue(path.join(deviceDir, 'uevent')) || ''
+		const memoryBytes = vendorInfo.vendor === 'intel'
+			? readIntelVram(path.join(drmDir, card))
+			: readSysfsBytes(path.join(deviceDir, 'mem_info_vram_total'))
+
+		gpus.push({
+			card: card,
+			vendor: vendorInfo.vendor,
+			vendorId: vendorId,
+			deviceId: deviceId,
+			name: lookupPciName(vendorId, deviceId),
+			driver: uevent.match(/^DRIVER=(.+)$/m)?.[1] || null,
+			pciSlot: uevent.match(/^PCI_SLOT_NAME=(.+)$/m)?.[1] || null,
+			memoryBytes: memoryBytes,
+			discrete: isDiscreteGpu(vendorInfo.vendor, deviceId, memoryBytes),
+		})
+	}
+	return gpus
+}
+
+module.exports = {
+	readSysfsValue,
+	detectDrmGpus,
+}
@@ -0,0 +1,217 @@
+/**
+ * Whistant Desktop App - Live GPU telemetry
+ * Samples utilization, memory, temperature and power draw with nvidia-smi
+ * (NVIDIA) or rocm-smi (AMD) on an interval and keeps the last hour in a
+ * ring buffer for the success screen charts.
+ */
+
+const { execFile } = require('child_process')
+const { promisify } = require('util')
+const { createLogger } = require('./logger')
+
+const log = createLogger('gpu')
+
+const execFileAsync = promisify(execFile)
+
+const NVIDIA_QUERY = 'index,utilization.gpu,memory.used,memory.total,temperature.gpu,power.draw'
+const ROCM_ARGS = ['--showuse', '--showmeminfo', 'vram', '--showtemp', '--showpower', '--json']
+
+/**
+ * Parse a number from smi output; "[N/A]", "N/A" and empty fields become null
+ */
+function parseMetric(value) {
+	const number = parseFloat(value)
+	return Number.isFinite(number) ? number : null
+}
+
+/**
+ * Parse `nvidia-smi --query-gpu=<NVIDIA_QUERY> --format=csv,noheader,nounits`
+ * One line per GPU, e.g.:
+ *   0, 35, 8123, 24576, 61, 187.42
+ *   1, 0, 3, 24576, 34, [N/A]
+ */
+function parseNvidiaTelemetry(output) {
+	return output
+		.split('\n')
+		.map(line => line.trim())
+		.filter(Boolean)
+		.map(line => {
+			const [index, utilization, memoryUsed, memoryTotal, temperature, power] = line.split(',').map(s => s.trim())
+			return {
+				index: parseInt(index, 10),
+				utilization: parseMetric(utilization),
+				memoryUsedMb: parseMetric(memoryUsed),
+				memoryTotalMb: parseMetric(memoryTotal),
+				temperature: parseMetric(temperature),
+				powerW: parseMetric(power),
+			}
+		})
+		.filter(gpu => Number.isInteger(gpu.index))
+}
+
+/**
+ * Find a value in a rocm-smi card object by key pattern
+ */
+function findRocmValue(card, pattern) {
+	const key = Object.keys(card).find(k => pattern.test(k))
+	return key ? parseMetric(card[key]) : null
+}
+
+/**
+ * Parse `rocm-smi --showuse --showmeminfo vram --showtemp --showpower --json`
+ * Keys vary between ROCm releases, e.g.:
+ *   {"card0": {"GPU use (%)": "12", "VRAM Total Memory (B)": "17163091968",
+ *    "VRAM Total Used Memory (B)": "1288490188", "Temperature (Sensor edge) (C)": "45.0",
+ *    "Average Graphics Package Power (W)": "35.0"}}
+ * Newer releases report "Current Socket Graphics Package Power (W)" instead.
+ */
+function parseRocmTelemetry(output) {
+	const data = JSON.parse(output)
+	const mb = (bytes) => (bytes === null ? null : Math.round(bytes / (1024 ** 2)))
+
+	return Object.entries(data)
+		.filter(([name]) => /^card\d+$/.test(name))
+		.map(([name, card]) => ({
+			index: parseInt(name.slice(4), 10),
+			utilization: findRocmValue(card, /^GPU use \(%\)/),
+			memoryUsedMb: mb(findRocmValue(card, /^VRAM Total Used Memory \(B\)/)),
+			memoryTotalMb: mb(findRocmValue(card, /^VRAM Total Memory \(B\)/)),
+			temperature: findRocmValue(card, /^Temperature \(Sensor edge\)/) ?? findRocmValue(card, /^Temperature \(Sensor junction\)/),
+			powerW: findRocmValue(card, /Graphics Package Power \(W\)/),
+		}))
+		.sort((a, b) => a.index - b.index)
+}
+
+/**
+ * Fixed-size buffer that overwrites the oldest entry when full
+ */
+function createRingBuffer(capacity) {
+	const items = new Array(capacity)
+	let start = 0
+	let size = 0
+
+	function push(item) {
+		items[(start + size) % capacity] = item
+		if (size < capacity) {
+			size++
+		} else {
+			start = (start + 1) % capacity
+		}
+	}
+
+	/**
+	 * Entries from oldest to newest
+	 */
+	function toArray() {
+		const result = []
+		for (let i = 0; i < size; i++) {
+			result.push(items[(start + i) % capacity])
+		}
+		return result
+	}
+
+	return {
+		push,
+		toArray,
+		get size() { return size },
+	}
+}
+
+/**
+ * Read one sample of all GPUs with the given tool ('nvidia' or 'amd')
+ */
+async function readGpuTelemetry(source) {
+	if (source === 'nvidia') {
+		const { stdout } = await execFileAsync('nvidia-smi', [`--query-gpu=${NVIDIA_QUERY}`, '--format=csv,noheader,nounits'], { timeout: 5000 })
+		return parseNvidiaTelemetry(stdout)
+	}
+	const { stdout } = await execFileAsync('rocm-smi', ROCM_ARGS, { timeout: 5000 })
+	return parseRocmTelemetry(stdout)
+}
+
+/**
+ * Find which telemetry tool works on this machine; null when neither does
+ */
+async function detectTelemetrySource() {
+	for (const source of ['nvidia', 'amd']) {
+		try {
+			const gpus = await readGpuTelemetry(source)
+			if (gpus.length > 0) return source
+		} catch (e) {}
+	}
+	return null
+}
+
+/**
+ * Create the telemetry sampler
+ * Keeps historyMs worth of samples ({ timestamp, gpus }) taken every intervalMs.
+ */
+function createGpuTelemetry({ intervalMs = 5000, historyMs = 60 * 60 * 1000 } = {}) {
+	const history = createRingBuffer(Math.max(1, Math.ceil(historyMs / intervalMs)))
+	let source  // undefined until detected, then 'nvidia', 'amd' or null
+	let lastError = null
+	let timer = null
+	let sampling = false
+
+	/**
+	 * Take one sample; resolves with it, or null when unsupported or failed
+	 */
+	async function sampleNow() {
+		if (sampling) return null
+		sampling = true
+		try {
+			if (source === undefined) {
+				source = await detectTelemetrySource()
+				log.info(source ? `📈 GPU telemetry via ${source === 'nvidia' ? 'nvidia-smi' : 'rocm-smi'}` : 'ℹ️  No GPU telemetry available')
+			}
+			if (!source) {
+				stop()
+				return null
+			}
+
+			const sample = { timestamp: Date.now(), gpus: await readGpuTelemetry(source) }
+			history.push(sample)
+			lastError = null
+			return sample
+		} catch (e) {
+			lastError = e.message
+			return null
+		} finally {
+			sampling = false
+		}
+	}
+
+	function start() {
+		if (timer || !(intervalMs > 0)) return
+		sampleNow()
+		timer = setInterval(sampleNow, intervalMs)
+	}
+
+	function stop() {
+		if (timer) {
+			clearInterval(timer)
+			timer = null
+		}
+	}
+
+	return {
+		start,
+		stop,
+		sampleNow,
+		getHistory: () => ({
+			source: source || null,
+			intervalMs,
+			lastError,
+			samples: history.toArray(),
+		}),
+	}
+}
+
+module.exports = {
+	parseNvidiaTelemetry,
+	parseRocmTelemetry,
+	createRingBuffer,
+	readGpuTelemetry,
+	detectTelemetrySource,
+	createGpuTelemetry,
+}
@@ -0,0 +1,137 @@
+/**
+ * Whistant Desktop App - Periodic heartbeat to the Whistant backend
+ * POSTs live status to /server/heartbeat so the iPhone can tell whether the
+ * server is up, busy or has models loaded. Schema (version 1) is documented
+ * in the README under "Heartbeat".
+ */
+
+const { createLogger } = require('./logger')
+
+const log = createLogger('heartbeat')
+
+const HEARTBEAT_SCHEMA_VERSION = 1
+
+/**
+ * Build the heartbeat body from collected status
+ */
+function buildHeartbeatPayload({ serverId, appVersion, uptimeSeconds, tunnel = {}, backend = 'ollama', ollama = {}, queue = {} }) {
+	return {
+		schemaVersion: HEARTBEAT_SCHEMA_VERSION,
+		serverId,
+		timestamp: new Date().toISOString(),
+		appVersion: appVersion || null,
+		uptimeSeconds: Math.round(uptimeSeconds || 0),
+		tunnel: {
+			url: tunnel.url || null,
+			provider: tunnel.provider || null,
+			healthy: typeof tunnel.healthy === 'boolean' ? tunnel.healthy : null,
+			latencyMs: Number.isFinite(tunnel.latencyMs) ? tunnel.latencyMs : null,
+		},
+		backend,
+		// Status of the inference backend, whichever type it is
+		ollama: {
+			reachable: Boolean(ollama.reachable),
+			version: ollama.version || null,
+			loadedModels: Array.isArray(ollama.loadedModels) ? ollama.loadedModels : [],
+			backends: {
+				total: ollama.backends?.total || 1,
+				healthy: ollama.backends?.healthy ?? (ollama.reachable ? 1 : 0),
+			},
+		},
+		queue: {
+			active: queue.active || 0,
+			queued: queue.queued || 0,
+			maxConcurrent: queue.maxConcurrent || 0,
+			maxQueue: queue.maxQueue || 0,
+		},
+	}
+}
+
+/**
+ * Create a heartbeat sender
+ * collect() resolves with a payload (or null to skip, e.g. not linked yet),
+ * send(payload) POSTs it. Failures back off exponentially up to backoffMaxMs.
+ */
+function createHeartbeat({ collect, send, intervalMs = 60000, backoffMaxMs = 15 * 60 * 1000 }) {
+	const status = {
+		lastSentAt: null,
+		lastError: null,
+		consecutiveFailures: 0,
+		nextAt: null,
+	}
+	let timer = null
+	let running = false
+
+	/**
+	 * Delay before the next heartbeat: the interval, doubled per failure in a row
+	 */
+	function nextDelay() {
+		return Math.min(intervalMs * 2 ** status.consecutiveFailures, Math.max(backoffMaxMs, intervalMs))
+	}
+
+	/**
+	 * Send one heartbeat now
+	 */
+	async function beat() {
+		const payload = await collect()
+		if (!payload) return false
+
+		try {
+			await send(payload)
+			if (status.consecutiveFailures > 0) {
+				log.info(`💓 Heartbeat delivered again after ${status.consecutiveFailures} failures`)
+			} else if (!status.lastSentAt) {
+				log.info(`💓 Heartbeat sent (every ${Math.round(intervalMs / 1000)}s)`)
+			}
+			status.lastSentAt = payload.timestamp
+			status.lastError = null
+			status.consecutiveFailures = 0
+			return true
+		} catch (e) {
+			status.consecutiveFailures++
+			status.lastError = e.response?.data?.error || e.code || e.message
+			log.warn(`⚠️  Heartbeat failed (${status.consecutiveFailures} in a row): ${status.lastError}`)
+			return false
+		}
+	}
+
+	function scheduleNext(delay) {
+		if (!running) return
+		status.nextAt = new Date(Date.now() + delay).toISOString()
+		timer = setTimeout(async () => {
+			await beat().catch(e => log.error('Heartbeat error', { error: e.message }))
+			scheduleNext(nextDelay())
+		}, delay)
+	}
+
+	/**
+	 * Send a heartbeat right away, then every intervalMs (0 disables)
+	 */
+	function start() {
+		if (running || !(intervalMs > 0)) return
+		running = true
+		scheduleNext(0)
+	}
+
+	function stop() {
+		running = false
+		status.nextAt = null
+		if (timer) {
+			clearTimeout(timer)
+			timer = null
+		}
+	}
+
+	return {
+		start,
+		stop,
+		beat,
+		getStatus: () => ({ ...status }),
+	}
+}
+
+module.exports = {
+	HEARTBEAT_SCHEMA_VERSION,
+	buildHeartbeatPayload,
+	createHeartbeat,
+}
@@ -0,0 +1,80 @@
+/**
+ * Whistant Desktop App - Structured app log
+ * Entries are JSON lines ({ time, level, scope, msg, ...fields }) in
+ * <userData>/logs/app.log, so they survive a restart and can be filtered.
+ * Modules log through createLogger(scope); other console output (the CLI,
+ * config loading) is captured into the same file.
+ */
+
+const util = require('util')
+const config = require('./config')
+const { getLog } = require('./logs')
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+// Console methods before captureConsole() replaced them
+const originalConsole = {
+	debug: console.debug.bind(console),
+	log: console.log.bind(console),
+	info: console.info.bind(console),
+	warn: console.warn.bind(console),
+	error: console.error.bind(console),
+}
+let consoleCaptured = false
+
+/**
+ * Append one entry to app.log unless it is below LOG_LEVEL
+ */
+function writeEntry(level, scope, msg, fields = {}) {
+	const minLevel = LEVELS[config.LOG_LEVEL] || LEVELS.info
+	if (LEVELS[level] < minLevel) return
+	getLog('app').append(JSON.stringify({ time: new Date().toISOString(), level, scope, msg, ...fields }))
+}
+
+/**
+ * Logger for one part of the app: log.info('Tunnel started', { url })
+ * Entries are also printed to the terminal.
+ */
+function createLogger(scope) {
+	const logger = {}
+	for (const level of Object.keys(LEVELS)) {
+		logger[level] = (msg, fields) => {
+			writeEntry(level, scope, msg, fields)
+			const print = originalConsole[level]
+			fields ? print(`[${scope}] ${msg}`, fields) : print(`[${scope}] ${msg}`)
+		}
+	}
+	return logger
+}
+
+/**
+ * Print to the terminal without writing app.log (output that has a log file of its own)
+ */
+function printToTerminal(...args) {
+	originalConsole.log(...args)
+}
+
+/**
+ * Also write console output to app.log (once per process)
+ * Its lines get the 'console' scope and the level of the console method.
+ */
+function captureConsole() {
+	if (consoleCaptured) return
+	consoleCaptured = true
+
+	const methods = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' }
+	for (const [method, level] of Object.entries(methods)) {
+		console[method] = (...args) => {
+			originalConsole[method](...args)
+			const message = util.format(...args)
+			writeEntry(level, 'console', message)
+		}
+	}
+}
+
+module.exports = {
+	LEVELS,
+	createLogger,
+	printToTerminal,
+	captureConsole,
+}
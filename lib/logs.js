@@ -0,0 +1,130 @@
+/**
+ * Whistant Desktop App - Log files behind the log viewer
+ * app.log (JSON lines written by lib/logger.js) and tunnel.log (tunnel process output)
+ * live in <userData>/logs; the Ollama log stays in ~/.whistant_local.
+ * All of them rotate by size and keep older files gzipped.
+ */
+
+const os = require('os')
+const path = require('path')
+const { getUserDataDir } = require('./paths')
+const { createRotatingLog } = require('./rotating-log')
+
+const LOG_SOURCES = {
+	app: {
+		label: 'App',
+		file: () => path.join(getUserDataDir(), 'logs', 'app.log'),
+		options: { maxBytes: 5 * 1024 * 1024, maxFiles: 3, compress: true },
+	},
+	tunnel: {
+		label: 'Tunnel',
+		file: () => path.join(getUserDataDir(), 'logs', 'tunnel.log'),
+		options: { maxBytes: 5 * 1024 * 1024, maxFiles: 3, compress: true },
+	},
+	ollama: {
+		label: 'Ollama',
+		file: () => path.join(os.homedir(), '.whistant_local', 'ollama.log'),
+		options: { maxBytes: 10 * 1024 * 1024, maxFiles: 5, compress: true },
+	},
+}
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+// Lines scanned when filtering (the viewer shows at most `limit` of them)
+const MAX_SCAN_LINES = 20000
+
+const logs = new Map()  // source -> rotating log
+
+/**
+ * Rotating log for a source ('app', 'tunnel' or 'ollama')
+ */
+function getLog(source) {
+	const definition = LOG_SOURCES[source]
+	if (!definition) {
+		throw new Error(`Unknown log source: ${source}`)
+	}
+	if (!logs.has(source)) {
+		logs.set(source, createRotatingLog(definition.file(), definition.options))
+	}
+	return logs.get(source)
+}
+
+/**
+ * Level of a log line, from the marker near its start
+ * Matches the Ollama ("level=WARN") and cloudflared ("ERR") formats;
+ * null when the line has none.
+ */
+function detectLogLevel(line) {
+	const head = line.slice(0, 80)
+	if (/\b(ERROR|ERR|FATAL|PANIC)\b/.test(head)) return 'error'
+	if (/\b(WARN|WRN|WARNING)\b/.test(head)) return 'warn'
+	if (/\b(DEBUG|DBG|TRACE)\b/.test(head)) return 'debug'
+	if (/\b(INFO|INF)\b/.test(head)) return 'info'
+	return null
+}
+
+/**
+ * Parse a JSON line of app.log into a readable line; null for plain text
+ */
+function parseJsonEntry(line) {
+	if (!line.startsWith('{')) return null
+	try {
+		const { time, level, scope, msg, ...fields } = JSON.parse(line)
+		const prefix = scope && scope !== 'console' ? `[${scope}] ` : ''
+		const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : ''
+		return { text: `${time} ${String(level).toUpperCase()} ${prefix}${msg}${extra}`, level: level }
+	} catch (e) {
+		return null
+	}
+}
+
+/**
+ * Attach levels to lines; plain lines without a marker (continuations,
+ * stack traces) take the level of the line before them
+ */
+function parseLogLines(lines) {
+	let level = 'info'
+	return lines.map(line => {
+		const entry = parseJsonEntry(line)
+		if (entry) {
+			level = entry.level
+			return entry
+		}
+		level = detectLogLevel(line) || (/^\s/.test(line) ? level : 'info')
+		return { text: line, level }
+	})
+}
+
+/**
+ * Newest matching lines of a source, oldest first
+ * filter: { level (minimum), search, limit }
+ */
+async function queryLogs(source, filter = {}) {
+	const limit = filter.limit || 1000
+	const minLevel = LOG_LEVELS.indexOf(filter.level || 'debug')
+	const search = (filter.search || '').toLowerCase()
+
+	const lines = parseLogLines(await getLog(source).readLines(MAX_SCAN_LINES))
+	const matches = lines.filter(line =>
+		LOG_LEVELS.indexOf(line.level) >= minLevel &&
+		(!search || line.text.toLowerCase().includes(search))
+	)
+	return matches.slice(-limit)
+}
+
+/**
+ * Write out buffered lines of every open log (before process.exit)
+ */
+async function closeLogs() {
+	await Promise.all([...logs.values()].map(log => log.close()))
+}
+
+module.exports = {
+	LOG_SOURCES,
+	LOG_LEVELS,
+	getLog,
+	detectLogLevel,
+	parseLogLines,
+	queryLogs,
+	closeLogs,
+}
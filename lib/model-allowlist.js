@@ -0,0 +1,78 @@
+/**
+ * Whistant Desktop App - Published model allowlist
+ * Stored as model-allowlist.json next to registration.json. With no saved
+ * allowlist every model is published, as before the allowlist existed.
+ */
+
+const path = require('path')
+const fs = require('fs')
+const { createLogger } = require('./logger')
+
+const log = createLogger('models')
+
+const ALLOWLIST_FILE = 'model-allowlist.json'
+
+/**
+ * Ollama treats "llama3" and "llama3:latest" as the same model
+ */
+function normalizeModelName(name) {
+	if (!name) return ''
+	return name.includes(':') ? name : `${name}:latest`
+}
+
+/**
+ * Load the allowlist, or null when every model is published
+ */
+function loadModelAllowlist(dataDir) {
+	try {
+		const filePath = path.join(dataDir, ALLOWLIST_FILE)
+		if (fs.existsSync(filePath)) {
+			const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+			return Array.isArray(data.models) ? data.models : null
+		}
+	} catch (e) {
+		log.warn('⚠️  Could not read model allowlist, publishing all models', { error: e.message })
+	}
+	return null
+}
+
+/**
+ * Save the allowlist; null removes it and publishes every model again
+ */
+function saveModelAllowlist(dataDir, models) {
+	const filePath = path.join(dataDir, ALLOWLIST_FILE)
+	if (models === null) {
+		if (fs.existsSync(filePath)) {
+			fs.unlinkSync(filePath)
+		}
+		return null
+	}
+
+	const unique = [...new Set(models.map(normalizeModelName))]
+	fs.writeFileSync(filePath, JSON.stringify({ models: unique, updatedAt: new Date().toISOString() }, null, 2))
+	return unique
+}
+
+/**
+ * Check a single model name against the allowlist
+ */
+function isModelAllowed(allowlist, name) {
+	if (!allowlist) return true
+	return allowlist.includes(normalizeModelName(name))
+}
+
+/**
+ * Filter a list of model names (or objects with a name field)
+ */
+function filterAllowedModels(allowlist, models) {
+	if (!allowlist) return models
+	return models.filter(m => isModelAllowed(allowlist, typeof m === 'string' ? m : m.name))
+}
+
+module.exports = {
+	normalizeModelName,
+	loadModelAllowlist,
+	saveModelAllowlist,
+	isModelAllowed,
+	filterAllowedModels,
+}
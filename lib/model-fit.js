@@ -0,0 +1,181 @@
+/**
+ * Whistant Desktop App - VRAM fit estimates and model recommendations
+ * Relates installed models (size on disk, quantization) to the GPU memory
+ * found by system-info, so the UI can show whether a model runs fully on the
+ * GPU, partly offloads to the CPU, or is CPU-bound.
+ */
+
+const GB = 1024 ** 3
+
+// Share of unified memory macOS lets Metal use for the GPU
+const UNIFIED_MEMORY_GPU_SHARE = 0.75
+
+// VRAM kept free for the driver, display and other processes
+const VRAM_RESERVE = 0.95
+
+// Below this share of the model in VRAM, generation speed is CPU-bound
+const MIN_PARTIAL_GPU_SHARE = 0.5
+
+// Approximate bytes per parameter by quantization (weights only)
+const BYTES_PER_PARAM = [
+	[/^F32/i, 4],
+	[/^(F16|BF16)/i, 2],
+	[/^Q8/i, 1.07],
+	[/^Q6/i, 0.82],
+	[/^Q5/i, 0.69],
+	[/^(Q4|IQ4|MXFP4)/i, 0.57],
+	[/^(Q3|IQ3)/i, 0.45],
+	[/^(Q2|IQ2)/i, 0.33],
+]
+
+// The agent / reasoning pairing the README suggests, with smaller fallbacks
+// (approxBytes is the download size shown on ollama.com)
+const RECOMMENDED_MODELS = [
+	{ role: 'agent', name: 'gpt-oss:20b', approxBytes: 14e9, fallback: { name: 'qwen3:8b', approxBytes: 5.2e9 } },
+	{ role: 'reasoning', name: 'deepseek-r1:14b', approxBytes: 9e9, fallback: { name: 'deepseek-r1:8b', approxBytes: 5.2e9 } },
+]
+
+/**
+ * Parse memory strings from system-info ("24576 MiB", "16.00 GB", "8 GB") into bytes
+ * Returns null for "Shared", "N/A" and other non-numeric values
+ */
+function parseMemoryToBytes(text) {
+	const match = String(text || '').match(/([\d.]+)\s*(MiB|MB|GiB|GB|TiB|TB)/i)
+	if (!match) return null
+	const value = parseFloat(match[1])
+	const unit = match[2].toUpperCase()
+	if (unit.startsWith('M')) return value * 1024 ** 2
+	if (unit.startsWith('G')) return value * GB
+	return value * 1024 ** 4
+}
+
+/**
+ * Memory the GPU can use for models, from collectSystemInfo() output
+ * VRAM is summed over all cards, since Ollama splits layers across them.
+ * Returns { type, name, vramBytes, unified } (vramBytes 0 means no usable GPU)
+ */
+function getGpuMemoryBudget(systemInfo, totalMemoryBytes) {
+	const { gpuType, nvidiaInfo, amdInfo, intelInfo, macInfo } = systemInfo
+
+	if (gpuType === 'nvidia' && nvidiaInfo.available) {
+		return { type: 'nvidia', name: nvidiaInfo.name, vramBytes: parseMemoryToBytes(nvidiaInfo.memory) || 0, unified: false }
+	}
+	if (gpuType === 'amd' && amdInfo.available) {
+		return { type: 'amd', name: amdInfo.name, vramBytes: parseMemoryToBytes(amdInfo.memory) || 0, unified: false }
+	}
+	if (gpuType === 'intel' && intelInfo.available) {
+		return { type: 'intel', name: intelInfo.name, vramBytes: parseMemoryToBytes(intelInfo.memory) || 0, unified: false }
+	}
+	if (gpuType === 'mac' && macInfo.available) {
+		// Apple Silicon shares system memory with the GPU; Intel Macs report dedicated VRAM
+		const dedicated = parseMemoryToBytes(macInfo.memory)
+		if (dedicated) {
+			return { type: 'mac', name: macInfo.name, vramBytes: dedicated, unified: false }
+		}
+		return { type: 'mac', name: macInfo.name, vramBytes: totalMemoryBytes * UNIFIED_MEMORY_GPU_SHARE, unified: true }
+	}
+	return { type: 'cpu', name: 'No GPU detected', vramBytes: 0, unified: false }
+}
+
+/**
+ * Parse "7.6B" / "494.03M" parameter sizes into a parameter count
+ */
+function parseParameterCount(parameterSize) {
+	const match = String(parameterSize || '').match(/([\d.]+)\s*([KMBT])/i)
+	if (!match) return null
+	const scale = { K: 1e3, M: 1e6, B: 1e9, T: 1e12 }[match[2].toUpperCase()]
+	return parseFloat(match[1]) * scale
+}
+
+/**
+ * Estimate the memory a loaded model needs: weights plus KV cache and buffers
+ * Uses the size on disk when known, otherwise parameters x quantization.
+ */
+function estimateModelMemory({ size, parameterSize, quantization }) {
+	let weights = size || null
+	if (!weights) {
+		const params = parseParameterCount(parameterSize)
+		const bytesPerParam = BYTES_PER_PARAM.find(([pattern]) => pattern.test(quantization || ''))?.[1] || 0.57
+		weights = params ? params * bytesPerParam : null
+	}
+	if (!weights) return null
+
+	// Default-context KV cache and compute buffers grow with the model
+	return weights * 1.1 + 0.4 * GB
+}
+
+/**
+ * Classify how a model runs on this machine
+ * 'gpu': fully in VRAM, 'partial': split between GPU and CPU, 'cpu': CPU-bound
+ */
+function classifyFit(requiredBytes, vramBytes) {
+	if (!vramBytes || !requiredBytes) {
+		return { fit: 'cpu', gpuShare: 0 }
+	}
+	const usable = vramBytes * VRAM_RESERVE
+	const gpuShare = Math.min(1, usable / requiredBytes)
+	if (gpuShare >= 1) return { fit: 'gpu', gpuShare: 1 }
+	if (gpuShare >= MIN_PARTIAL_GPU_SHARE) return { fit: 'partial', gpuShare }
+	return { fit: 'cpu', gpuShare }
+}
+
+/**
+ * Fit estimate for each model ({ name, size, details } from /api/tags)
+ */
+function analyzeModelFit(models, budget) {
+	return models.map(model => {
+		const requiredBytes = estimateModelMemory({
+			size: model.size,
+			parameterSize: model.details?.parameter_size,
+			quantization: model.details?.quantization_level,
+		})
+		return {
+			name: model.name,
+			requiredBytes,
+			...classifyFit(requiredBytes, budget.vramBytes),
+		}
+	})
+}
+
+/**
+ * Recommendations for the agent / reasoning pairing on this GPU
+ * Suggests the smaller fallback when the recommended model would not run on the GPU.
+ */
+function buildRecommendations(installedNames, budget) {
+	const installed = new Set(installedNames)
+	const recommendations = RECOMMENDED_MODELS.map(recommended => {
+		const requiredBytes = estimateModelMemory({ size: recommended.approxBytes })
+		const { fit } = classifyFit(requiredBytes, budget.vramBytes)
+		const useFallback = fit !== 'gpu' && !installed.has(recommended.name)
+		const choice = useFallback ? recommended.fallback : recommended
+		const choiceRequired = estimateModelMemory({ size: choice.approxBytes })
+
+		return {
+			role: recommended.role,
+			name: choice.name,
+			recommendedName: recommended.name,
+			isFallback: useFallback,
+			installed: installed.has(choice.name),
+			requiredBytes: choiceRequired,
+			fit: classifyFit(choiceRequired, budget.vramBytes).fit,
+		}
+	})
+
+	// Both loaded at once avoids reloading between agent and reasoning turns
+	const pairBytes = recommendations.reduce((sum, r) => sum + r.requiredBytes, 0)
+	return {
+		models: recommendations,
+		pairFitsTogether: classifyFit(pairBytes, budget.vramBytes).fit === 'gpu',
+	}
+}
+
+module.exports = {
+	RECOMMENDED_MODELS,
+	parseMemoryToBytes,
+	getGpuMemoryBudget,
+	parseParameterCount,
+	estimateModelMemory,
+	classifyFit,
+	analyzeModelFit,
+	buildRecommendations,
+}
@@ -0,0 +1,346 @@
+/**
+ * Whistant Desktop App - Model management (pull, delete, inspect)
+ * Talks to the Ollama servers of the pool directly, never through the tunnel:
+ * a model is managed on the servers that have it, new models go to this machine.
+ * OpenAI-compatible backends cannot pull, delete or inspect models.
+ */
+
+const axios = require('axios')
+const { normalizeModelName } = require('./model-allowlist')
+const { getBackend } = require('./backends')
+const { createLogger } = require('./logger')
+
+const log = createLogger('models')
+
+const activePulls = new Map()  // Normalized model name -> AbortController
+const entryCache = new Map()  // "name@digest" -> registration model entry (/api/show is slow)
+
+// Capabilities reported to the iPhone
+const MODEL_CAPABILITIES = ['vision', 'tools', 'thinking', 'embedding']
+
+/**
+ * Track /api/pull progress across layers
+ * update(event) takes one NDJSON event and returns { status, completed, total, percent }
+ */
+function createPullProgress() {
+	const layers = new Map()  // digest -> { total, completed }
+	let status = 'starting'
+
+	function update(event) {
+		if (event.status) {
+			status = event.status
+		}
+		if (event.digest && event.total) {
+			layers.set(event.digest, { total: event.total, completed: event.completed || 0 })
+		}
+
+		let total = 0
+		let completed = 0
+		for (const layer of layers.values()) {
+			total += layer.total
+			completed += layer.completed
+		}
+		const percent = status === 'success' ? 100 : total > 0 ? Math.floor((completed / total) * 100) : null
+		return { status, completed, total, percent }
+	}
+
+	return { update }
+}
+
+/**
+ * Split a chunked NDJSON stream into parsed objects (carries partial lines over)
+ */
+function createNdjsonParser(onObject) {
+	let buffer = ''
+	return (chunk) => {
+		buffer += chunk.toString()
+		const lines = buffer.split('\n')
+		buffer = lines.pop()
+		for (const line of lines) {
+			if (!line.trim()) continue
+			try {
+				onObject(JSON.parse(line))
+			} catch (e) {
+				log.warn(`⚠️  Skipping malformed pull progress line: ${line.slice(0, 200)}`)
+			}
+		}
+	}
+}
+
+/**
+ * Throw unless the backend is Ollama
+ */
+function requireModelManagement() {
+	const backend = getBackend()
+	if (!backend.managesModels) {
+		throw new Error(`Models are managed on the ${backend.label} server itself, not from Whistant`)
+	}
+}
+
+/**
+ * Pull a model, reporting progress with onProgress({ status, completed, total, percent })
+ * Updates it on the first server that has it, otherwise pulls it to the main backend.
+ * Resolves when the pull finished; rejects on error or cancelPull (error.cancelled)
+ */
+async function pullModel(name, onProgress = () => {}) {
+	requireModelManagement()
+	const key = normalizeModelName(name)
+	if (!key) {
+		throw new Error('Model name is required')
+	}
+	if (activePulls.has(key)) {
+		throw new Error(`${key} is already being pulled`)
+	}
+
+	const backend = getBackend()
+	const [url = backend.url] = backend.getModelUrls(key)
+	const controller = new AbortController()
+	activePulls.set(key, controller)
+	log.info(`⬇️  Pulling ${key}...`, { url })
+
+	try {
+		const response = await axios.post(
+			`${url}/api/pull`,
+			{ model: name.trim(), stream: true },
+			{ responseType: 'stream', signal: controller.signal }
+		)
+
+		const progress = createPullProgress()
+		await new Promise((resolve, reject) => {
+			let failed = null
+			let succeeded = false
+			const parse = createNdjsonParser((event) => {
+				if (event.error) {
+					failed = new Error(event.error)
+					return
+				}
+				if (event.status === 'success') {
+					succeeded = true
+				}
+				onProgress(progress.update(event))
+			})
+
+			response.data.on('data', parse)
+			response.data.on('error', reject)
+			response.data.on('end', () => {
+				if (failed) reject(failed)
+				else if (!succeeded) reject(new Error('Pull ended before completing'))
+				else resolve()
+			})
+		})
+
+		log.info(`✅ Pulled ${key}`)
+	} catch (error) {
+		if (controller.signal.aborted) {
+			log.info(`⏹️  Pull of ${key} cancelled`)
+			const cancelled = new Error('Pull cancelled')
+			cancelled.cancelled = true
+			throw cancelled
+		}
+		// Ollama sends { error } bodies for unknown models etc.
+		throw new Error(await readStreamError(error) || error.message)
+	} finally {
+		activePulls.delete(key)
+	}
+}
+
+/**
+ * Read the { error } body of a failed streaming request, if there is one
+ */
+async function readStreamError(error) {
+	const stream = error.response?.data
+	if (!stream || typeof stream.on !== 'function') return null
+	try {
+		let body = ''
+		for await (const chunk of stream) {
+			body += chunk.toString()
+		}
+		return JSON.parse(body).error || null
+	} catch (e) {
+		return null
+	}
+}
+
+/**
+ * Cancel an ongoing pull; returns false if that model is not being pulled
+ */
+function cancelPull(name) {
+	const controller = activePulls.get(normalizeModelName(name))
+	if (!controller) return false
+	controller.abort()
+	return true
+}
+
+/**
+ * Names of models currently being pulled
+ */
+function getActivePulls() {
+	return [...activePulls.keys()]
+}
+
+/**
+ * Delete a model from every server that has it
+ * (a model no server lists is tried on the main backend, which reports it missing)
+ */
+async function deleteModel(name) {
+	requireModelManagement()
+	const backend = getBackend()
+	const urls = backend.getModelUrls(name)
+	for (const url of urls.length > 0 ? urls : [backend.url]) {
+		try {
+			await axios.delete(`${url}/api/delete`, {
+				data: { model: name },
+				timeout: 30000,
+			})
+			log.info(`🗑️  Deleted ${name}`, { url })
+		} catch (error) {
+			throw new Error(error.response?.data?.error || error.message)
+		}
+	}
+}
+
+/**
+ * Detect vision / tools / thinking / embedding support from an /api/show response
+ * Uses Ollama's own capabilities list when present (0.6+), otherwise the
+ * model info, projector and template the older versions return.
+ */
+function detectCapabilities(show) {
+	if (Array.isArray(show.capabilities) && show.capabilities.length > 0) {
+		return MODEL_CAPABILITIES.filter(capability => show.capabilities.includes(capability))
+	}
+
+	const modelInfo = show.model_info || {}
+	const infoKeys = Object.keys(modelInfo)
+	const families = show.details?.families || []
+	const template = show.template || ''
+	const capabilities = []
+
+	if (show.projector_info || infoKeys.some(key => key.includes('.vision.')) || families.some(f => ['clip', 'mllama'].includes(f))) {
+		capabilities.push('vision')
+	}
+	if (template.includes('.Tools')) {
+		capabilities.push('tools')
+	}
+	if (template.includes('.Think') || template.includes('<think>')) {
+		capabilities.push('thinking')
+	}
+	if (infoKeys.some(key => key.endsWith('.pooling_type'))) {
+		capabilities.push('embedding')
+	}
+	return capabilities
+}
+
+/**
+ * Pick the fields the details panel shows out of an /api/show response
+ */
+function summarizeModelInfo(show) {
+	const details = show.details || {}
+	const modelInfo = show.model_info || {}
+
+	// Context length is stored under "<architecture>.context_length"
+	const contextKey = Object.keys(modelInfo).find(key => key.endsWith('.context_length'))
+
+	return {
+		family: details.family || modelInfo['general.architecture'] || null,
+		parameterSize: details.parameter_size || null,
+		quantization: details.quantization_level || null,
+		format: details.format || null,
+		contextLength: contextKey ? modelInfo[contextKey] : null,
+		capabilities: detectCapabilities(show),
+		parameters: show.parameters || '',
+		template: show.template || '',
+		modifiedAt: show.modified_at || null,
+	}
+}
+
+/**
+ * Get model details from /api/show
+ * Asks a backend that has the model (this machine's Ollama when none is known to).
+ */
+async function showModel(name) {
+	requireModelManagement()
+	const [url] = getBackend().getTargets(name)
+	try {
+		const response = await axios.post(
+			`${url}/api/show`,
+			{ model: name },
+			{ timeout: 10000 }
+		)
+		return summarizeModelInfo(response.data)
+	} catch (error) {
+		throw new Error(error.response?.data?.error || error.message)
+	}
+}
+
+/**
+ * Registration entry for one model from its /api/tags entry and /api/show summary
+ * (OpenAI-compatible backends only have the details their model list carries)
+ */
+function buildModelEntry(tag, summary = {}) {
+	const details = tag.details || {}
+	return {
+		name: tag.name,
+		digest: tag.digest || null,
+		size: tag.size || null,
+		parameterSize: summary.parameterSize || details.parameter_size || null,
+		quantization: summary.quantization || details.quantization_level || null,
+		family: summary.family || details.family || null,
+		contextLength: summary.contextLength || details.context_length || null,
+		capabilities: summary.capabilities || [],
+	}
+}
+
+/**
+ * Structured entries for the given model names (in that order)
+ * Models missing from the backend's list, or whose /api/show fails, get what is known.
+ */
+async function fetchModelEntries(names) {
+	const backend = getBackend()
+	let tags = []
+	try {
+		tags = await backend.listModels()
+	} catch (e) {
+		log.warn(`⚠️  Could not fetch model details from ${backend.label}`)
+	}
+	const tagsByName = new Map(tags.map(tag => [tag.name, tag]))
+
+	const entries = []
+	for (const name of names) {
+		const tag = tagsByName.get(name) || { name }
+		if (!backend.managesModels) {
+			entries.push(buildModelEntry(tag))
+			continue
+		}
+		const cacheKey = `${name}@${tag.digest}`
+		if (tag.digest && entryCache.has(cacheKey)) {
+			entries.push(entryCache.get(cacheKey))
+			continue
+		}
+
+		let entry
+		try {
+			entry = buildModelEntry(tag, await showModel(name))
+			if (tag.digest) entryCache.set(cacheKey, entry)
+		} catch (e) {
+			log.warn(`⚠️  Could not inspect ${name}: ${e.message}`)
+			entry = buildModelEntry(tag)
+		}
+		entries.push(entry)
+	}
+	return entries
+}
+
+module.exports = {
+	MODEL_CAPABILITIES,
+	createPullProgress,
+	createNdjsonParser,
+	pullModel,
+	cancelPull,
+	getActivePulls,
+	deleteModel,
+	detectCapabilities,
+	summarizeModelInfo,
+	showModel,
+	buildModelEntry,
+	fetchModelEntries,
+}
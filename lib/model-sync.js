@@ -0,0 +1,106 @@
+/**
+ * Whistant Desktop App - Model list sync
+ * Polls Ollama's /api/tags and reports when models are pulled, deleted or
+ * re-pulled (digest change), so the published list can be pushed to Whistant.
+ */
+
+const { createLogger } = require('./logger')
+
+const log = createLogger('models')
+
+/**
+ * Compare two /api/tags model lists by name and digest
+ * Returns { added, removed, changed } name arrays
+ */
+function diffModelSets(previous, next) {
+	const before = new Map(previous.map(m => [m.name, m.digest]))
+	const after = new Map(next.map(m => [m.name, m.digest]))
+
+	const added = []
+	const changed = []
+	for (const [name, digest] of after) {
+		if (!before.has(name)) {
+			added.push(name)
+		} else if (before.get(name) !== digest) {
+			changed.push(name)
+		}
+	}
+	const removed = [...before.keys()].filter(name => !after.has(name))
+
+	return { added, removed, changed }
+}
+
+/**
+ * Whether a diff contains any change
+ */
+function hasModelChanges(diff) {
+	return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0
+}
+
+/**
+ * Create a model watcher
+ * fetchModels() resolves with /api/tags entries ({ name, digest, ... }) and
+ * throws when Ollama is unreachable (an outage is not reported as a deletion).
+ * onChange(models, diff) is called whenever the set changes after the first poll.
+ */
+function createModelSync({ fetchModels, onChange, intervalMs = 30000 }) {
+	let known = null  // Last seen /api/tags entries, null until the first poll
+	let timer = null
+	let checking = false
+
+	/**
+	 * Poll once; resolves with the diff, or null when nothing changed
+	 */
+	async function checkNow() {
+		if (checking) return null
+		checking = true
+		try {
+			let models
+			try {
+				models = await fetchModels()
+			} catch (e) {
+				return null
+			}
+
+			if (known === null) {
+				known = models
+				return null
+			}
+
+			const diff = diffModelSets(known, models)
+			known = models
+			if (!hasModelChanges(diff)) {
+				return null
+			}
+
+			log.info(`🔄 Models changed: +[${diff.added.join(', ')}] -[${diff.removed.join(', ')}] ~[${diff.changed.join(', ')}]`)
+			await onChange(models, diff)
+			return diff
+		} finally {
+			checking = false
+		}
+	}
+
+	function start() {
+		if (timer) return
+		checkNow().catch(e => log.error('Model sync error', { error: e.message }))
+		timer = setInterval(() => {
+			checkNow().catch(e => log.error('Model sync error', { error: e.message }))
+		}, intervalMs)
+	}
+
+	function stop() {
+		if (timer) {
+			clearInterval(timer)
+			timer = null
+		}
+	}
+
+	return { start, stop, checkNow }
+}
+
+module.exports = {
+	diffModelSets,
+	hasModelChanges,
+	createModelSync,
+}
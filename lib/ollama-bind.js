@@ -0,0 +1,79 @@
+/**
+ * Whistant Desktop App - Address the Ollama started by the app listens on
+ * The tunnel reaches Ollama through the auth proxy on this machine, so
+ * loopback is enough; other policies expose Ollama to the network.
+ */
+
+const net = require('net')
+const os = require('os')
+
+const BIND_POLICIES = ['loopback', 'interface', 'all']
+
+/**
+ * IPv4 and IPv6 addresses of the network interfaces, loopback excluded
+ * Returns [{ name, address, family }]
+ */
+function listInterfaceAddresses(interfaces = os.networkInterfaces()) {
+	const addresses = []
+	for (const [name, entries] of Object.entries(interfaces)) {
+		for (const entry of entries || []) {
+			if (entry.internal) continue
+			// Link-local IPv6 addresses need a zone and are useless to other machines
+			if (entry.family === 'IPv6' && entry.address.startsWith('fe80:')) continue
+			addresses.push({ name, address: entry.address, family: entry.family })
+		}
+	}
+	return addresses
+}
+
+/**
+ * Resolve a bind policy to addresses
+ * address (interface policy) is an IP or an interface name such as eth0.
+ * Returns { policy, bindHost, connectHost, port, ollamaHost, url }: bindHost is
+ * what Ollama listens on (OLLAMA_HOST=ollamaHost), url is how the app reaches it.
+ * Throws when the interface policy has no usable address.
+ */
+function resolveOllamaBind({ policy = 'loopback', address = '', port = 11434 }, interfaces) {
+	if (!BIND_POLICIES.includes(policy)) {
+		throw new Error(`Unknown bind policy "${policy}" (use ${BIND_POLICIES.join(', ')})`)
+	}
+	if (!Number.isInteger(port) || port < 1 || port > 65535) {
+		throw new Error(`Invalid Ollama port: ${port}`)
+	}
+
+	let bindHost = '127.0.0.1'
+	let connectHost = '127.0.0.1'
+	if (policy === 'all') {
+		bindHost = '0.0.0.0'
+	} else if (policy === 'interface') {
+		const wanted = String(address || '').trim()
+		if (!wanted) {
+			throw new Error('The interface bind policy needs an address or interface name')
+		}
+		const available = listInterfaceAddresses(interfaces)
+		const match = net.isIP(wanted)
+			? available.find(entry => entry.address === wanted)
+			: available.find(entry => entry.name === wanted && entry.family === 'IPv4') || available.find(entry => entry.name === wanted)
+		if (!match) {
+			throw new Error(`No network interface with address or name "${wanted}"`)
+		}
+		bindHost = match.address
+		connectHost = match.address
+	}
+
+	const hostPart = (host) => net.isIPv6(host) ? `[${host}]` : host
+	return {
+		policy,
+		bindHost,
+		connectHost,
+		port,
+		ollamaHost: `${hostPart(bindHost)}:${port}`,
+		url: `http://${hostPart(connectHost)}:${port}`,
+	}
+}
+
+module.exports = {
+	BIND_POLICIES,
+	listInterfaceAddresses,
+	resolveOllamaBind,
+}
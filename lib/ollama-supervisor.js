@@ -0,0 +1,153 @@
+/**
+ * Whistant Desktop App - Supervised `ollama serve` child process
+ * Keeps the Ollama the app started running: output goes to a rotating log,
+ * crashes are restarted with exponential backoff, and stop() ends it on quit.
+ */
+
+const { spawn } = require('child_process')
+const { killTunnelProcess } = require('./tunnels/process')
+const { createLogger } = require('./logger')
+
+const log = createLogger('ollama')
+
+// After this long without a crash, the backoff starts over
+const STABLE_AFTER_MS = 60 * 1000
+
+// Time Ollama gets to unload models before it is killed
+const STOP_GRACE_MS = 5000
+
+/**
+ * Create a supervisor for one command
+ * log is a rotating log ({ append }) for Ollama's output; onStatus(status) fires on every state change.
+ */
+function createOllamaSupervisor({ command, args = ['serve'], env = process.env, log: outputLog, onStatus = () => {}, backoffBaseMs = 2000, backoffMaxMs = 60000 }) {
+	const status = {
+		state: 'stopped',  // stopped, running, restarting
+		pid: null,
+		startedAt: null,
+		restarts: 0,
+		lastExitCode: null,
+		lastExitAt: null,
+		nextRestartAt: null,
+	}
+	let child = null
+	let restartTimer = null
+	let stopping = false
+	let crashesInARow = 0
+	const stopWaiters = []
+
+	function setState(changes) {
+		Object.assign(status, changes)
+		onStatus({ ...status })
+	}
+
+	function note(message) {
+		outputLog.append(`${new Date().toISOString()} [whistant] ${message}`)
+	}
+
+	/**
+	 * Send complete lines of a stream to the log
+	 */
+	function pipeLines(stream) {
+		let buffer = ''
+		stream.on('data', (data) => {
+			buffer += data.toString()
+			const lines = buffer.split('\n')
+			buffer = lines.pop()
+			lines.forEach(line => outputLog.append(line))
+		})
+		stream.on('end', () => {
+			if (buffer) outputLog.append(buffer)
+		})
+	}
+
+	function launch() {
+		restartTimer = null
+		const startedAt = Date.now()
+		child = spawn(command, args, {
+			stdio: ['ignore', 'pipe', 'pipe'],
+			env: env,
+			windowsHide: true,
+		})
+		pipeLines(child.stdout)
+		pipeLines(child.stderr)
+		note(`started ${command} ${args.join(' ')} (pid ${child.pid})`)
+		setState({ state: 'running', pid: child.pid || null, startedAt: new Date(startedAt).toISOString(), nextRestartAt: null })
+
+		child.on('error', (err) => {
+			log.error('Failed to start Ollama', { error: err.message })
+			note(`failed to start: ${err.message}`)
+		})
+
+		child.on('close', (code, signal) => {
+			child = null
+			const exit = signal || code
+			const exited = { pid: null, lastExitCode: exit, lastExitAt: new Date().toISOString() }
+
+			if (stopping) {
+				note('stopped')
+				setState({ ...exited, state: 'stopped' })
+				while (stopWaiters.length) stopWaiters.shift()()
+				return
+			}
+
+			if (Date.now() - startedAt >= STABLE_AFTER_MS) {
+				crashesInARow = 0
+			}
+			const delay = Math.min(backoffBaseMs * 2 ** crashesInARow, backoffMaxMs)
+			crashesInARow++
+			log.warn(`⚠️  Ollama exited (${exit}), restarting in ${Math.round(delay / 1000)}s`)
+			note(`exited (${exit}), restarting in ${Math.round(delay / 1000)}s`)
+			setState({
+				...exited,
+				state: 'restarting',
+				restarts: status.restarts + 1,
+				nextRestartAt: new Date(Date.now() + delay).toISOString(),
+			})
+			restartTimer = setTimeout(launch, delay)
+		})
+	}
+
+	function start() {
+		if (child || restartTimer) return
+		stopping = false
+		crashesInARow = 0
+		launch()
+	}
+
+	/**
+	 * Stop Ollama and cancel pending restarts; resolves once it has exited
+	 */
+	function stop() {
+		stopping = true
+		if (restartTimer) {
+			clearTimeout(restartTimer)
+			restartTimer = null
+			setState({ state: 'stopped', nextRestartAt: null })
+		}
+		if (!child) {
+			return Promise.resolve()
+		}
+
+		const stopped = new Promise(resolve => stopWaiters.push(resolve))
+		const stoppingChild = child
+		killTunnelProcess(stoppingChild)
+		const forceTimer = setTimeout(() => {
+			if (stoppingChild.exitCode === null && stoppingChild.signalCode === null) {
+				stoppingChild.kill('SIGKILL')
+			}
+		}, STOP_GRACE_MS)
+		return stopped.then(() => clearTimeout(forceTimer))
+	}
+
+	return {
+		start,
+		stop,
+		isRunning: () => child !== null || restartTimer !== null,
+		getStatus: () => ({ ...status }),
+	}
+}
+
+module.exports = {
+	createOllamaSupervisor,
+}
@@ -0,0 +1,183 @@
+/**
+ * Whistant Desktop App - Ollama run as a systemd service (Linux)
+ * The Ollama Linux installer sets up ollama.service. systemd restarts its own
+ * copy when it is killed, so a managed Ollama is reused as it is, or
+ * reconfigured through a drop-in override and restarted by systemd.
+ */
+
+const os = require('os')
+const path = require('path')
+const { execFile, execFileSync } = require('child_process')
+const { promisify } = require('util')
+const { createLogger } = require('./logger')
+
+const log = createLogger('ollama')
+
+const execFileAsync = promisify(execFile)
+
+const OLLAMA_UNIT = 'ollama.service'
+const DROP_IN_PATH = '/etc/systemd/system/ollama.service.d/whistant.conf'
+// What Ollama uses when the unit does not set a variable
+const OLLAMA_DEFAULTS = { OLLAMA_HOST: '127.0.0.1:11434' }
+
+/**
+ * Parse `systemctl show` output (Key=Value lines) into an object
+ */
+function parseSystemctlShow(output) {
+	const properties = {}
+	for (const line of output.split('\n')) {
+		const index = line.indexOf('=')
+		if (index > 0) {
+			properties[line.slice(0, index)] = line.slice(index + 1).trim()
+		}
+	}
+	return properties
+}
+
+/**
+ * Parse the Environment property: space-separated KEY=VALUE pairs,
+ * quoted when the value has spaces ("OLLAMA_ORIGINS=a b" OLLAMA_HOST=0.0.0.0)
+ */
+function parseUnitEnvironment(value) {
+	const environment = {}
+	const pairs = (value || '').match(/"[^"]*"|\S+/g) || []
+	for (const pair of pairs) {
+		const unquoted = pair.replace(/^"(.*)"$/, '$1')
+		const index = unquoted.indexOf('=')
+		if (index > 0) {
+			environment[unquoted.slice(0, index)] = unquoted.slice(index + 1)
+		}
+	}
+	return environment
+}
+
+/**
+ * Find a systemd-managed Ollama
+ * Returns null when there is no ollama.service (or no systemd), otherwise
+ * { active, mainPid, fragmentPath, dropInPaths, environment }
+ */
+function getOllamaUnit() {
+	if (os.platform() !== 'linux') return null
+
+	let output
+	try {
+		output = execFileSync('systemctl', [
+			'show', OLLAMA_UNIT, '--no-pager',
+			'--property=LoadState,ActiveState,MainPID,FragmentPath,DropInPaths,Environment',
+		], { encoding: 'utf-8', timeout: 5000, stdio: ['ignore', 'pipe', 'ignore'] })
+	} catch (e) {
+		return null
+	}
+
+	const properties = parseSystemctlShow(output)
+	if (properties.LoadState !== 'loaded') return null
+
+	return {
+		active: properties.ActiveState === 'active',
+		mainPid: parseInt(properties.MainPID, 10) || null,
+		fragmentPath: properties.FragmentPath || null,
+		dropInPaths: (properties.DropInPaths || '').split(/\s+/).filter(Boolean),
+		environment: parseUnitEnvironment(properties.Environment),
+	}
+}
+
+/**
+ * OLLAMA_HOST as host:port ("0.0.0.0" and "http://0.0.0.0:11434" mean 0.0.0.0:11434)
+ */
+function normalizeOllamaHost(value) {
+	const host = String(value).trim().replace(/^https?:\/\//, '').replace(/\/+$/, '')
+	return /:\d+$/.test(host) ? host : `${host}:11434`
+}
+
+/**
+ * Variables in required that the unit does not set to the same value
+ * (unset variables count as Ollama's defaults)
+ */
+function getMissingEnvironment(unit, required) {
+	const missing = {}
+	for (const [key, value] of Object.entries(required)) {
+		const current = unit.environment[key] ?? OLLAMA_DEFAULTS[key]
+		const same = key === 'OLLAMA_HOST' && current !== undefined
+			? normalizeOllamaHost(current) === normalizeOllamaHost(value)
+			: current === value
+		if (!same) {
+			missing[key] = value
+		}
+	}
+	return missing
+}
+
+/**
+ * Drop-in override content setting the given environment
+ */
+function buildDropInOverride(environment) {
+	const lines = ['# Written by Whistant so Ollama accepts connections from the auth proxy and tunnel', '[Service]']
+	for (const [key, value] of Object.entries(environment)) {
+		lines.push(`Environment="${key}=${value}"`)
+	}
+	return lines.join('\n') + '\n'
+}
+
+/**
+ * Shell commands that install the override and restart the unit (run as root)
+ * The content comes on stdin: a file in /tmp could be swapped by another user
+ * while the password prompt is open.
+ */
+function buildOverrideCommands() {
+	return [
+		'umask 022',
+		`mkdir -p "${path.dirname(DROP_IN_PATH)}"`,
+		`tee "${DROP_IN_PATH}" > /dev/null`,
+		'systemctl daemon-reload',
+		`systemctl restart ${OLLAMA_UNIT}`,
+	]
+}
+
+/**
+ * How to apply the override by hand (for the CLI and logs)
+ */
+function describeManualOverride(environment) {
+	const content = buildDropInOverride(environment).trimEnd().split('\n').join('\\n')
+	return [
+		`sudo mkdir -p ${path.dirname(DROP_IN_PATH)}`,
+		`printf '${content}\\n' | sudo tee ${DROP_IN_PATH}`,
+		'sudo systemctl daemon-reload',
+		`sudo systemctl restart ${OLLAMA_UNIT}`,
+	].join('\n')
+}
+
+/**
+ * Write the drop-in override and restart ollama.service
+ * Runs directly as root, otherwise through pkexec (graphical password prompt).
+ */
+async function applyOllamaOverride(environment) {
+	const script = buildOverrideCommands().join(' && ')
+	const isRoot = typeof process.getuid === 'function' && process.getuid() === 0
+	const [command, args] = isRoot ? ['sh', ['-c', script]] : ['pkexec', ['sh', '-c', script]]
+
+	try {
+		log.info(`🔧 Applying ${DROP_IN_PATH} and restarting ${OLLAMA_UNIT}...`)
+		// Long timeout: pkexec waits for the user to type their password
+		const run = execFileAsync(command, args, { timeout: 120000 })
+		run.child.stdin.on('error', () => {})  // Reported through run when the command cannot start
+		run.child.stdin.end(buildDropInOverride(environment))
+		await run
+		log.info(`✅ ${OLLAMA_UNIT} restarted with ${Object.keys(environment).join(', ')}`)
+	} catch (error) {
+		// pkexec exits 126 when the prompt is dismissed
+		const reason = error.code === 126 ? 'authorization was cancelled' : (error.stderr?.trim() || error.message)
+		throw new Error(`Could not reconfigure ${OLLAMA_UNIT}: ${reason}`)
+	}
+}
+
+module.exports = {
+	OLLAMA_UNIT,
+	DROP_IN_PATH,
+	parseSystemctlShow,
+	parseUnitEnvironment,
+	getOllamaUnit,
+	getMissingEnvironment,
+	buildDropInOverride,
+	describeManualOverride,
+	applyOllamaOverride,
+}
@@ -0,0 +1,325 @@
+/**
+ * Whistant Desktop App - Local Ollama process management
+ * The Ollama API itself is used through lib/backends.
+ */
+
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const axios = require('axios')
+const { execSync } = require('child_process')
+const config = require('./config')
+const { getLog } = require('./logs')
+const { createOllamaSupervisor } = require('./ollama-supervisor')
+const { OLLAMA_UNIT, DROP_IN_PATH, getOllamaUnit, getMissingEnvironment, describeManualOverride, applyOllamaOverride } = require('./ollama-systemd')
+const { createLogger } = require('./logger')
+
+const log = createLogger('ollama')
+
+/**
+ * Check if Ollama is running
+ */
+function isOllamaRunning() {
+	try {
+		const platform = os.platform()
+		let command = ''
+		
+		if (platform === 'win32') {
+			// Windows: Check if ollama.exe process is running
+			command = 'tasklist | find /i "ollama"'
+		} else {
+			// macOS/Linux: Check for ollama processes
+			command = 'ps aux | grep -i ollama | grep -v grep'
+		}
+		
+		try {
+			const output = execSync(command, { encoding: 'utf-8', stdio: 'pipe' })
+			return output.trim().length > 0
+		} catch (e) {
+			return false
+		}
+	} catch (e) {
+		log.warn('Error checking if Ollama is running', { error: e.message })
+		return false
+	}
+}
+
+/**
+ * Stop Ollama gracefully
+ */
+function stopOllama() {
+	try {
+		const platform = os.platform()
+		
+		if (platform === 'win32') {
+			log.info('🛑 Stopping Ollama on Windows...')
+			execSync('taskkill /IM ollama.exe /F', { stdio: 'pipe' })
+		} else {
+			log.info('🛑 Stopping Ollama on Unix...')
+			// Kill ollama serve process gracefully, then force if needed
+			try {
+				execSync('pkill -f "ollama serve"', { stdio: 'pipe' })
+			} catch (e) {
+				// pkill failed, try killall
+				try {
+					execSync('killall ollama', { stdio: 'pipe' })
+				} catch (e2) {
+					log.warn('⚠️  Could not kill Ollama process')
+				}
+			}
+		}
+		
+		// Wait a bit for graceful shutdown
+		log.info('⏳ Waiting for Ollama to stop...')
+		execSync('sleep 2', { stdio: 'pipe' })
+		
+		log.info('✅ Ollama stopped')
+		return true
+	} catch (error) {
+		log.warn('⚠️  Error stopping Ollama', { error: error.message })
+		return false
+	}
+}
+
+/**
+ * Find ollama executable path
+ */
+function findOllamaExecutable() {
+	const platform = os.platform()
+	const home = os.homedir()
+	
+	// Common installation paths for ollama
+	const searchPaths = platform === 'win32'
+		? [
+			'ollama',
+			path.join(process.env.LOCALAPPDATA || '', 'Programs', 'Ollama', 'ollama.exe'),
+			'C:\\Program Files\\Ollama\\ollama.exe',
+		]
+		: platform === 'darwin'
+		? [
+			'ollama',
+			'/usr/local/bin/ollama',
+			'/opt/homebrew/bin/ollama',
+			path.join(home, '.ollama', 'bin', 'ollama'),
+		]
+		: [
+			'ollama',
+			'/usr/local/bin/ollama',
+			'/usr/bin/ollama',
+			path.join(home, '.ollama', 'bin', 'ollama'),
+		]
+	
+	// Try to find ollama
+	for (const ollamaPath of searchPaths) {
+		if (ollamaPath === 'ollama') {
+			try {
+				// Test if ollama is in PATH
+				const result = execSync('which ollama 2>/dev/null || where ollama 2>nul', {
+					encoding: 'utf-8',
+					stdio: 'pipe',
+					shell: true,
+				}).trim()
+				if (result) {
+					log.info(`✅ Found ollama in PATH: ${result}`)
+					return result
+				}
+			} catch (e) {
+				// Not in PATH
+			}
+		} else if (fs.existsSync(ollamaPath)) {
+			log.info(`✅ Found ollama at: ${ollamaPath}`)
+			return ollamaPath
+		}
+	}
+	
+	log.warn('⚠️  Could not find ollama executable in common paths')
+	return 'ollama' // Fallback to hoping it's in PATH
+}
+
+let ollamaSupervisor = null
+
+/**
+ * Start Ollama with OLLAMA_HOST from the bind policy as a supervised child
+ * It is restarted when it crashes and stopped by stopSupervisedOllama().
+ */
+function startOllamaWithHostBinding() {
+	try {
+		log.info(`🚀 Starting Ollama bound to ${config.OLLAMA_HOST} (${config.OLLAMA_BIND})...`)
+		if (config.OLLAMA_BIND === 'all') {
+			log.warn('⚠️  OLLAMA_BIND=all: Ollama accepts unauthenticated requests from the whole network')
+		}
+		
+		// Find ollama executable
+		const ollamaPath = findOllamaExecutable()
+		log.info(`Using ollama at: ${ollamaPath}`)
+		
+		// Create environment with OLLAMA_HOST set
+		const env = {
+			...process.env,
+			...getOllamaHostEnv(),
+		}
+		
+		const ollamaLog = getLog('ollama')
+		log.info(`📝 Ollama logs will be written to: ${ollamaLog.filePath}`)
+		ollamaSupervisor = createOllamaSupervisor({
+			command: ollamaPath,
+			args: ['serve'],
+			env: env,
+			log: ollamaLog,
+		})
+		ollamaSupervisor.start()
+		
+		log.info(`📡 Ollama starting with OLLAMA_HOST=${config.OLLAMA_HOST}`)
+		return true
+	} catch (error) {
+		log.error('❌ Error starting Ollama', { error: error.message, stack: error.stack })
+		return false
+	}
+}
+
+/**
+ * Stop the Ollama the app started (no-op when it did not start one)
+ */
+function stopSupervisedOllama() {
+	if (!ollamaSupervisor) return Promise.resolve()
+	return ollamaSupervisor.stop()
+}
+
+/**
+ * Supervisor status ({ state, pid, restarts, ... }), or null when the app did not start Ollama
+ */
+function getOllamaSupervisorStatus() {
+	return ollamaSupervisor ? ollamaSupervisor.getStatus() : null
+}
+
+/**
+ * Environment for the bind policy (also written to the systemd override)
+ */
+function getOllamaHostEnv() {
+	return { OLLAMA_HOST: config.OLLAMA_HOST }
+}
+
+/**
+ * Wait until Ollama answers /api/tags; resolves false after maxAttempts seconds
+ */
+async function waitForOllama(maxAttempts = 30) {
+	for (let attempt = 0; attempt < maxAttempts; attempt++) {
+		try {
+			const response = await axios.get(`${config.OLLAMA_SERVER_URL}/api/tags`, { timeout: 2000 })
+			if (response.status === 200) return true
+		} catch (e) {
+			// Still starting
+		}
+		await new Promise(resolve => setTimeout(resolve, 1000))
+	}
+	return false
+}
+
+/**
+ * Configure an Ollama that systemd manages: reuse it when it answers with the
+ * bind setting, otherwise (with confirmation) apply the drop-in override and restart the unit
+ */
+async function configureSystemdOllama(unit, confirmOverride) {
+	const hostEnv = getOllamaHostEnv()
+	const missing = getMissingEnvironment(unit, hostEnv)
+	const running = await waitForOllama(1)
+	
+	if (running && Object.keys(missing).length === 0) {
+		log.info(`✅ Reusing Ollama managed by systemd (${OLLAMA_UNIT}${unit.mainPid ? `, pid ${unit.mainPid}` : ''})`)
+		return { success: true, managedBy: 'systemd' }
+	}
+	
+	if (running) {
+		const settings = Object.entries(missing).map(([key, value]) => `${key}=${value}`).join(', ')
+		log.warn(`⚠️  ${OLLAMA_UNIT} runs without ${settings}: the bind setting (${config.OLLAMA_BIND}) is not in effect`)
+	} else {
+		log.warn(`⚠️  ${OLLAMA_UNIT} is ${unit.active ? 'active but not answering' : 'not running'}`)
+	}
+	// The override only adds our variables; the unit's own (GPU selection etc.) stay in effect
+	if (!confirmOverride || !(await confirmOverride({ unit: OLLAMA_UNIT, path: DROP_IN_PATH, environment: hostEnv, running }))) {
+		const manual = describeManualOverride(hostEnv)
+		log.info(`ℹ️  To configure ${running ? 'it' : 'and start it'} yourself:\n${manual}`)
+		if (running) {
+			return { success: true, managedBy: 'systemd', message: `${OLLAMA_UNIT} does not use the bind setting`, manual }
+		}
+		return { success: false, managedBy: 'systemd', error: `${OLLAMA_UNIT} is not running`, manual }
+	}
+	
+	await applyOllamaOverride(hostEnv)
+	if (await waitForOllama(30)) {
+		log.info(`✅ Ollama is ready (${OLLAMA_UNIT})`)
+		return { success: true, managedBy: 'systemd' }
+	}
+	return { success: true, managedBy: 'systemd', message: 'Ollama restarted but still initializing' }
+}
+
+/**
+ * Configure Ollama to listen on the bind address (OLLAMA_BIND / OLLAMA_PORT)
+ * A systemd-managed Ollama is reused or reconfigured through systemd;
+ * otherwise the running instance is stopped and restarted with that host binding.
+ * confirmSystemdOverride({ unit, path, environment, running }) resolves true to allow
+ * writing the override (it needs root); without it the manual steps are returned.
+ */
+async function configureOllamaForRemote({ confirmSystemdOverride } = {}) {
+	try {
+		log.info('🔧 Configuring Ollama for remote access...')
+		
+		// Killing a service-managed Ollama only makes systemd start its own copy again
+		const unit = getOllamaUnit()
+		if (unit) {
+			return await configureSystemdOllama(unit, confirmSystemdOverride)
+		}
+		
+		// Our own child is stopped through its supervisor, which would otherwise restart it
+		if (ollamaSupervisor && ollamaSupervisor.isRunning()) {
+			log.info('Stopping the Ollama started earlier...')
+			await stopSupervisedOllama()
+		}
+		
+		const isRunning = isOllamaRunning()
+		
+		if (isRunning) {
+			log.info('Found running Ollama instance, stopping it...')
+			const stopped = stopOllama()
+			if (!stopped) {
+				log.warn('⚠️  Could not stop existing Ollama, attempting to restart anyway...')
+			}
+		} else {
+			log.info('ℹ️  Ollama is not currently running')
+		}
+		
+		// Wait a moment before restarting
+		await new Promise(resolve => setTimeout(resolve, 1000))
+		
+		// Start Ollama with proper host binding
+		const started = startOllamaWithHostBinding()
+		
+		if (started) {
+			// Wait for Ollama to be ready
+			log.info('⏳ Waiting for Ollama to start (up to 30 seconds)...')
+			if (await waitForOllama(30)) {
+				log.info(`✅ Ollama is ready on ${config.OLLAMA_HOST}`)
+				return { success: true }
+			}
+			
+			log.warn('⚠️  Ollama started but not responding yet (may take a moment)')
+			return { success: true, message: 'Ollama started but still initializing' }
+		} else {
+			return { success: false, error: 'Failed to start Ollama' }
+		}
+	} catch (error) {
+		log.error('Configuration error', { error: error.message })
+		return { success: false, error: error.message }
+	}
+}
+
+module.exports = {
+	isOllamaRunning,
+	stopOllama,
+	findOllamaExecutable,
+	startOllamaWithHostBinding,
+	getOllamaHostEnv,
+	stopSupervisedOllama,
+	getOllamaSupervisorStatus,
+	configureOllamaForRemote,
+}
@@ -0,0 +1,42 @@
+/**
+ * Whistant Desktop App - Data directory shared by the Electron app and the CLI
+ * Resolves to the same folder as Electron's app.getPath('userData') so both
+ * read and write the same registration.json.
+ */
+
+const path = require('path')
+const os = require('os')
+
+const APP_DIR_NAME = 'whistant_local'
+
+let userDataDir = null
+
+/**
+ * Use Electron's userData path (called by main.js before anything else)
+ */
+function setUserDataDir(dir) {
+	userDataDir = dir
+}
+
+/**
+ * Get the data directory: the Electron path when set, WHISTANT_DATA_DIR,
+ * or the platform default Electron would pick
+ */
+function getUserDataDir() {
+	if (userDataDir) return userDataDir
+	if (process.env.WHISTANT_DATA_DIR) return process.env.WHISTANT_DATA_DIR
+
+	const home = os.homedir()
+	if (process.platform === 'win32') {
+		return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), APP_DIR_NAME)
+	}
+	if (process.platform === 'darwin') {
+		return path.join(home, 'Library', 'Application Support', APP_DIR_NAME)
+	}
+	return path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), APP_DIR_NAME)
+}
+
+module.exports = {
+	setUserDataDir,
+	getUserDataDir,
+}
@@ -0,0 +1,94 @@
+/**
+ * Whistant Desktop App - PCI IDs of GPU vendors and common cards
+ * Names for cards found through sysfs, where no vendor tool reports one.
+ * Unknown devices are shown with their raw IDs.
+ */
+
+const PCI_VENDORS = {
+	'0x10de': { vendor: 'nvidia', label: 'NVIDIA' },
+	'0x1002': { vendor: 'amd', label: 'AMD' },
+	'0x8086': { vendor: 'intel', label: 'Intel' },
+}
+
+// vendor:device -> card name (one device ID often covers several models)
+const PCI_DEVICES = {
+	// NVIDIA
+	'0x10de:0x1e07': 'GeForce RTX 2080 Ti',
+	'0x10de:0x2204': 'GeForce RTX 3090',
+	'0x10de:0x2206': 'GeForce RTX 3080',
+	'0x10de:0x2208': 'GeForce RTX 3080 Ti',
+	'0x10de:0x2684': 'GeForce RTX 4090',
+	'0x10de:0x2704': 'GeForce RTX 4080',
+	'0x10de:0x2782': 'GeForce RTX 4070 Ti',
+	'0x10de:0x2786': 'GeForce RTX 4070',
+
+	// AMD
+	'0x1002:0x73bf': 'Radeon RX 6800 / 6800 XT / 6900 XT',
+	'0x1002:0x73df': 'Radeon RX 6700 / 6700 XT / 6750 XT',
+	'0x1002:0x744c': 'Radeon RX 7900 XT / 7900 XTX / 7900 GRE',
+	'0x1002:0x747e': 'Radeon RX 7700 XT / 7800 XT',
+	'0x1002:0x7480': 'Radeon RX 7600 / 7600 XT',
+	'0x1002:0x740f': 'Instinct MI210',
+	'0x1002:0x74a1': 'Instinct MI300X',
+
+	// Intel Arc (discrete)
+	'0x8086:0x56a0': 'Arc A770',
+	'0x8086:0x56a1': 'Arc A750',
+	'0x8086:0x56a2': 'Arc A580',
+	'0x8086:0x56a5': 'Arc A380',
+	'0x8086:0x56a6': 'Arc A310',
+	'0x8086:0x56b3': 'Arc Pro A60',
+	'0x8086:0xe20b': 'Arc B580',
+	'0x8086:0xe20c': 'Arc B570',
+}
+
+// Device ID ranges of Intel's discrete GPUs; everything else from Intel is integrated
+const INTEL_DISCRETE_RANGES = [
+	[0x5690, 0x56c2],  // DG2 (Alchemist): Arc A-series desktop, mobile and Pro, Flex
+	[0xe200, 0xe2ff],  // Battlemage: Arc B-series and Pro B-series
+]
+
+// Integrated Radeon graphics of Ryzen APUs (amdgpu reports their memory carve-out as VRAM)
+const AMD_APU_DEVICE_IDS = new Set([
+	'0x15dd', '0x15d8',  // Raven Ridge, Picasso
+	'0x1636', '0x1638', '0x164c', '0x15e7',  // Renoir, Cezanne, Lucienne, Barcelo
+	'0x163f', '0x1681', '0x1506',  // Van Gogh (Steam Deck), Rembrandt, Mendocino
+	'0x15bf', '0x15c8', '0x164e', '0x13c0',  // Phoenix, Phoenix 2, Raphael, Granite Ridge
+	'0x150e', '0x1586', '0x1114',  // Strix Point, Strix Halo, Krackan Point
+])
+
+/**
+ * Name for a PCI vendor / device pair, e.g. "AMD Radeon RX 7600 / 7600 XT"
+ * Unknown devices get "AMD GPU [1002:abcd]"; null for non-GPU vendors.
+ */
+function lookupPciName(vendorId, deviceId) {
+	const vendor = PCI_VENDORS[vendorId]
+	if (!vendor) return null
+	const device = PCI_DEVICES[`${vendorId}:${deviceId}`]
+	if (device) return `${vendor.label} ${device}`
+	return `${vendor.label} GPU [${vendorId.replace(/^0x/, '')}:${String(deviceId).replace(/^0x/, '')}]`
+}
+
+/**
+ * Whether an Intel device ID is a discrete Arc card (integrated graphics are not used for models)
+ * Cards outside these ranges still count as discrete when sysfs reports their VRAM.
+ */
+function isDiscreteIntel(deviceId) {
+	const id = parseInt(deviceId, 16)
+	return INTEL_DISCRETE_RANGES.some(([first, last]) => id >= first && id <= last)
+}
+
+/**
+ * Whether an AMD device ID is the integrated graphics of a Ryzen APU
+ */
+function isAmdApu(deviceId) {
+	return AMD_APU_DEVICE_IDS.has(String(deviceId).toLowerCase())
+}
+
+module.exports = {
+	PCI_VENDORS,
+	PCI_DEVICES,
+	lookupPciName,
+	isDiscreteIntel,
+	isAmdApu,
+}
@@ -0,0 +1,459 @@
+/**
+ * Whistant Desktop App - Authenticating reverse proxy
+ * The public tunnel points here instead of at the backend (Ollama or an
+ * OpenAI-compatible server); only requests that carry a bearer token signed
+ * with the registration secret are forwarded. With several backends each
+ * request goes to one that has its model, and model lists are merged.
+ */
+
+const http = require('http')
+const https = require('https')
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const { createUsageTap } = require('./audit-log')
+const { isGenerationPath } = require('./scheduler')
+const { createLogger } = require('./logger')
+
+const log = createLogger('proxy')
+
+// Largest request body we buffer (chat requests can carry base64 images)
+const MAX_BODY_BYTES = 100 * 1024 * 1024
+
+// Responses that list models and must be filtered by the allowlist
+const MODEL_LIST_PATHS = new Set(['/api/tags', '/api/ps', '/v1/models'])
+
+// Set on every response of the proxy, so the tunnel health check can tell them from the provider's errors
+const PROXY_HEADER = 'X-Whistant-Proxy'
+
+// How long a backend may take to list its models before the merged list goes without it
+const MODEL_LIST_TIMEOUT_MS = 10000
+
+let proxyServer = null
+
+/**
+ * Generate a new secret shared with the Whistant backend at registration
+ */
+function generateProxySecret() {
+	return crypto.randomBytes(32).toString('hex')
+}
+
+/**
+ * Verify the bearer token on an incoming request
+ */
+function verifyBearerToken(req, secret) {
+	if (!secret) {
+		return { valid: false, error: 'Server is not registered' }
+	}
+
+	const header = req.headers['authorization'] || ''
+	const match = header.match(/^Bearer\s+(\S+)$/i)
+	if (!match) {
+		return { valid: false, error: 'Missing bearer token' }
+	}
+
+	try {
+		const claims = jwt.verify(match[1], secret, { algorithms: ['HS256'] })
+		return { valid: true, claims }
+	} catch (e) {
+		return { valid: false, error: e.message }
+	}
+}
+
+/**
+ * Sign a short-lived bearer token (used by the app's own probes)
+ */
+function signProxyToken(secret, subject, expiresInSeconds = 60) {
+	return jwt.sign({ sub: subject }, secret, { algorithm: 'HS256', expiresIn: expiresInSeconds })
+}
+
+/**
+ * Send a JSON response in the same shape Ollama uses for errors
+ */
+function sendJson(res, status, body, headers = {}) {
+	const data = JSON.stringify(body)
+	res.writeHead(status, {
+		'Content-Type': 'application/json; charset=utf-8',
+		'Content-Length': Buffer.byteLength(data),
+		...headers,
+	})
+	res.end(data)
+}
+
+/**
+ * Answer with a scheduler rejection (429 with Retry-After)
+ */
+function sendSchedulerError(res, error) {
+	log.warn(`🚦 ${error.message}`)
+	const headers = error.retryAfterSeconds ? { 'Retry-After': String(error.retryAfterSeconds) } : {}
+	sendJson(res, error.status || 429, { error: error.message }, headers)
+}
+
+/**
+ * Buffer the request body so the model name can be checked before forwarding
+ */
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		const chunks = []
+		let size = 0
+		req.on('data', (chunk) => {
+			size += chunk.length
+			if (size > MAX_BODY_BYTES) {
+				reject(new Error('Request body too large'))
+				req.destroy()
+				return
+			}
+			chunks.push(chunk)
+		})
+		req.on('end', () => resolve(Buffer.concat(chunks)))
+		req.on('error', reject)
+	})
+}
+
+/**
+ * Pull the model name out of a JSON request body, if there is one
+ */
+function extractModelName(body) {
+	if (!body || body.length === 0) return null
+	try {
+		const data = JSON.parse(body.toString('utf-8'))
+		return data.model || data.name || null
+	} catch {
+		return null
+	}
+}
+
+/**
+ * Merge the model lists of several backends into one response body
+ * Models listed by more than one backend appear once (the first backend's entry).
+ */
+function mergeModelListResponses(bodies) {
+	let merged = null
+	const seen = new Set()
+	for (const body of bodies) {
+		let parsed
+		try {
+			parsed = JSON.parse(body.toString('utf-8'))
+		} catch {
+			continue
+		}
+		for (const field of ['models', 'data']) {
+			if (!Array.isArray(parsed[field])) continue
+			parsed[field] = parsed[field].filter(m => {
+				const key = `${field}:${m.name || m.model || m.id}`
+				if (seen.has(key)) return false
+				seen.add(key)
+				return true
+			})
+			if (merged && Array.isArray(merged[field])) {
+				merged[field].push(...parsed[field])
+			}
+		}
+		if (!merged) merged = parsed
+	}
+	return merged ? Buffer.from(JSON.stringify(merged)) : bodies[0]
+}
+
+/**
+ * Drop unpublished models from a /api/tags, /api/ps or /v1/models response
+ */
+function filterModelListResponse(data, isModelAllowed) {
+	try {
+		const parsed = JSON.parse(data.toString('utf-8'))
+		if (Array.isArray(parsed.models)) {
+			parsed.models = parsed.models.filter(m => isModelAllowed(m.name || m.model))
+		}
+		if (Array.isArray(parsed.data)) {
+			parsed.data = parsed.data.filter(m => isModelAllowed(m.id))
+		}
+		return Buffer.from(JSON.stringify(parsed))
+	} catch {
+		return data
+	}
+}
+
+/**
+ * Whether a request target is a plain path ("/api/chat?x=1")
+ * "//host/..." and "http://host/..." would make new URL() pick the host;
+ * WHATWG URLs also read "/\host" as "//host".
+ */
+function isOriginFormTarget(url) {
+	return /^\/(?![/\\])/.test(url)
+}
+
+/**
+ * Start a buffered request to one target server
+ * path is the validated pathname + search; only the target's origin is used.
+ * upstreamHeaders (e.g. the backend's API key) replace the client's, and are
+ * only sent to the target's own origin
+ */
+function openUpstream(req, target, path, body, upstreamHeaders, onResponse, { identity = false } = {}) {
+	const { origin } = new URL(target)
+	const targetUrl = new URL(`${origin}${path}`)
+	const client = targetUrl.protocol === 'https:' ? https : http
+
+	const headers = { ...req.headers, host: targetUrl.host }
+	delete headers['authorization']
+	delete headers['transfer-encoding']
+	if (targetUrl.origin === origin) {
+		for (const [name, value] of Object.entries(upstreamHeaders)) {
+			headers[name.toLowerCase()] = value
+		}
+	}
+	headers['content-length'] = body.length
+	if (identity) {
+		delete headers['accept-encoding']
+	}
+
+	const upstream = client.request(targetUrl, { method: req.method, headers }, onResponse)
+	upstream.end(body)
+	return upstream
+}
+
+/**
+ * Send a buffered request to the first target and stream the response back
+ * When a target cannot be reached the next one is tried (the body is buffered,
+ * so nothing has been consumed); onUpstreamError(target, error) reports it.
+ */
+function forwardRequest(req, res, targets, body, { path, usageTap = null, upstreamHeaders = {}, onUpstreamError = () => {} }) {
+	const [target, ...fallbacks] = targets
+
+	const upstream = openUpstream(req, target, path, body, upstreamHeaders, (upstreamRes) => {
+		res.writeHead(upstreamRes.statusCode, upstreamRes.headers)
+		if (usageTap) {
+			upstreamRes.on('data', chunk => usageTap.write(chunk))
+		}
+		upstreamRes.pipe(res)
+	})
+
+	upstream.on('error', (err) => {
+		onUpstreamError(target, err)
+		if (!res.headersSent && !res.destroyed && fallbacks.length > 0) {
+			log.warn(`⚠️  ${target} unavailable (${err.message}), trying ${fallbacks[0]}`)
+			forwardRequest(req, res, fallbacks, body, { path, usageTap, upstreamHeaders, onUpstreamError })
+			return
+		}
+		log.error('❌ Proxy upstream error', { error: err.message })
+		if (!res.headersSent) {
+			sendJson(res, 502, { error: `Upstream unavailable: ${err.message}` })
+		} else {
+			res.destroy()
+		}
+	})
+
+	// Stop generating if the phone goes away mid-stream
+	res.on('close', () => {
+		if (!res.writableFinished) {
+			upstream.destroy()
+		}
+	})
+}
+
+/**
+ * Ask every target for its model list and answer with the merged, filtered list
+ * Targets that fail are left out; when none answers 200 the first response is passed on.
+ */
+async function forwardModelList(req, res, targets, body, isModelAllowed, { path, upstreamHeaders = {}, onUpstreamError = () => {} }) {
+	const responses = await Promise.all(targets.map(target => new Promise((resolve) => {
+		const upstream = openUpstream(req, target, path, body, upstreamHeaders, (upstreamRes) => {
+			const chunks = []
+			upstreamRes.on('data', chunk => chunks.push(chunk))
+			upstreamRes.on('end', () => resolve({ statusCode: upstreamRes.statusCode, headers: upstreamRes.headers, body: Buffer.concat(chunks) }))
+			upstreamRes.on('error', () => resolve(null))
+		}, { identity: true })
+		upstream.setTimeout(MODEL_LIST_TIMEOUT_MS, () => upstream.destroy(new Error('timed out')))
+		upstream.on('error', (err) => {
+			onUpstreamError(target, err)
+			resolve(null)
+		})
+	})))
+
+	const answered = responses.filter(Boolean)
+	if (answered.length === 0) {
+		sendJson(res, 502, { error: 'Upstream unavailable' })
+		return
+	}
+	const ok = answered.filter(response => response.statusCode === 200)
+	const first = ok[0] || answered[0]
+	const data = ok.length > 0
+		? filterModelListResponse(mergeModelListResponses(ok.map(response => response.body)), isModelAllowed)
+		: first.body
+
+	const responseHeaders = { ...first.headers, 'content-length': data.length }
+	delete responseHeaders['transfer-encoding']
+	res.writeHead(first.statusCode, responseHeaders)
+	res.end(data)
+}
+
+/**
+ * Authenticate, apply the route policy and model allowlist, then forward
+ */
+async function handleRequest(req, res, { getTargets, upstreamHeaders, onUpstreamError, getSecret, isModelAllowed, isRouteAllowed, onRequestComplete, scheduler }) {
+	const startedAt = Date.now()
+	if (!isOriginFormTarget(req.url)) {
+		log.warn(`🚫 Rejected request target ${req.url.slice(0, 200)}`)
+		sendJson(res, 400, { error: 'Request target must be a path' })
+		return
+	}
+	const requestUrl = new URL(req.url, 'http://127.0.0.1')
+	const pathname = requestUrl.pathname
+	const path = pathname + requestUrl.search
+	const usageTap = createUsageTap()
+	const record = {
+		timestamp: new Date(startedAt).toISOString(),
+		method: req.method,
+		endpoint: pathname,
+		model: null,
+		client: req.headers['cf-connecting-ip'] || req.socket.remoteAddress,
+	}
+
+	// Every request is recorded once the response ends, including rejected ones
+	res.on('close', () => {
+		onRequestComplete({
+			...record,
+			status: res.writableFinished ? res.statusCode : 499,
+			durationMs: Date.now() - startedAt,
+			promptTokens: null,
+			outputTokens: null,
+			...usageTap.usage(),
+		})
+	})
+
+	const auth = verifyBearerToken(req, getSecret())
+	if (!auth.valid) {
+		log.warn(`🔒 Rejected ${req.method} ${req.url}: ${auth.error}`)
+		sendJson(res, 401, { error: 'unauthorized' }, { 'WWW-Authenticate': 'Bearer' })
+		return
+	}
+	record.client = auth.claims.sub || record.client
+
+	if (scheduler) {
+		try {
+			scheduler.checkRateLimit(record.client)
+		} catch (e) {
+			sendSchedulerError(res, e)
+			return
+		}
+	}
+
+	if (!isRouteAllowed(req.method, pathname)) {
+		log.warn(`⛔ Denied ${req.method} ${pathname} (not in route policy)`)
+		sendJson(res, 403, { error: `${req.method} ${pathname} is not allowed through the tunnel` })
+		return
+	}
+
+	let body
+	try {
+		body = await readBody(req)
+	} catch (e) {
+		sendJson(res, 413, { error: e.message })
+		return
+	}
+
+	// Unpublished models look exactly like models that are not installed
+	const model = extractModelName(body)
+	record.model = model
+	if (model && !isModelAllowed(model)) {
+		log.warn(`🙈 Blocked request for unpublished model: ${model}`)
+		sendJson(res, 404, { error: `model "${model}" not found, try pulling it first` })
+		return
+	}
+
+	// Generations wait for a free slot; the slot is released when the response ends
+	if (scheduler && isGenerationPath(pathname)) {
+		const abort = new AbortController()
+		const onClose = () => abort.abort()
+		res.on('close', onClose)
+		let release
+		try {
+			release = await scheduler.acquire(abort.signal)
+		} catch (e) {
+			if (!res.destroyed) {
+				sendSchedulerError(res, e)
+			}
+			return
+		} finally {
+			res.off('close', onClose)
+		}
+		if (res.destroyed) {
+			release()
+			return
+		}
+		res.on('close', release)
+	}
+
+	const targets = getTargets(model)
+	if (MODEL_LIST_PATHS.has(pathname)) {
+		await forwardModelList(req, res, targets, body, isModelAllowed, { path, upstreamHeaders, onUpstreamError })
+		return
+	}
+	forwardRequest(req, res, targets, body, { path, usageTap, upstreamHeaders, onUpstreamError })
+}
+
+/**
+ * Start the proxy on loopback
+ * The getTargets/getUpstreamHeaders/getSecret/isModelAllowed/isRouteAllowed callbacks run per request so changes take effect immediately
+ * getTargets(model) returns the backend URLs to try in order (model is null for requests without one)
+ * onUpstreamError(target, error) is told when a backend cannot be reached
+ * onRequestComplete receives one audit record per request
+ * scheduler (optional) rate-limits clients and queues generations
+ */
+function startAuthProxy({
+	port,
+	getTargets,
+	getUpstreamHeaders = () => ({}),
+	onUpstreamError = () => {},
+	getSecret,
+	isModelAllowed = () => true,
+	isRouteAllowed = () => true,
+	onRequestComplete = () => {},
+	scheduler = null,
+}) {
+	return new Promise((resolve, reject) => {
+		if (proxyServer) {
+			resolve(`http://127.0.0.1:${proxyServer.address().port}`)
+			return
+		}
+
+		const server = http.createServer((req, res) => {
+			res.setHeader(PROXY_HEADER, '1')
+			const upstreamHeaders = getUpstreamHeaders()
+			handleRequest(req, res, { getTargets, upstreamHeaders, onUpstreamError, getSecret, isModelAllowed, isRouteAllowed, onRequestComplete, scheduler }).catch((err) => {
+				log.error('❌ Proxy request failed', { error: err.message })
+				if (!res.headersSent) {
+					sendJson(res, 500, { error: err.message })
+				}
+			})
+		})
+
+		server.once('error', (err) => {
+			log.error('❌ Failed to start auth proxy', { error: err.message })
+			reject(err)
+		})
+
+		server.listen(port, '127.0.0.1', () => {
+			proxyServer = server
+			const url = `http://127.0.0.1:${server.address().port}`
+			log.info(`🔐 Auth proxy listening on ${url} -> ${getTargets(null).join(', ')}`)
+			resolve(url)
+		})
+	})
+}
+
+/**
+ * Stop the proxy if it is running
+ */
+function stopAuthProxy() {
+	if (proxyServer) {
+		proxyServer.close()
+		proxyServer = null
+	}
+}
+
+module.exports = {
+	PROXY_HEADER,
+	generateProxySecret,
+	verifyBearerToken,
+	signProxyToken,
+	startAuthProxy,
+	stopAuthProxy,
+}
@@ -0,0 +1,86 @@
+/**
+ * Whistant Desktop App - registration.json and the Whistant /server/register call
+ */
+
+const path = require('path')
+const fs = require('fs')
+const axios = require('axios')
+const config = require('./config')
+const { getUserDataDir } = require('./paths')
+const { createLogger } = require('./logger')
+
+const log = createLogger('registration')
+
+/**
+ * Path of registration.json in the shared data directory
+ */
+function getRegistrationPath() {
+	return path.join(getUserDataDir(), 'registration.json')
+}
+
+/**
+ * Read registration.json, or null if missing or unreadable
+ */
+function readRegistration() {
+	try {
+		const dataPath = getRegistrationPath()
+		if (fs.existsSync(dataPath)) {
+			return JSON.parse(fs.readFileSync(dataPath, 'utf-8'))
+		}
+	} catch (e) {
+		log.warn('⚠️  Could not read registration file', { error: e.message })
+	}
+	return null
+}
+
+/**
+ * Write registration.json; null deletes it (unlink)
+ */
+function saveRegistration(data) {
+	const dataPath = getRegistrationPath()
+	if (data === null) {
+		// Delete registration file
+		if (fs.existsSync(dataPath)) {
+			fs.unlinkSync(dataPath)
+		}
+		return
+	}
+
+	fs.mkdirSync(path.dirname(dataPath), { recursive: true })
+	fs.writeFileSync(dataPath, JSON.stringify(data, null, 2))
+}
+
+/**
+ * POST a registration payload to the Whistant server
+ */
+async function postRegistration(payload) {
+	const response = await axios.post(
+		`${config.WHISTANT_SERVER_URL}/server/register`,
+		payload,
+		{ headers: { 'Content-Type': 'application/json' }, timeout: 10000 }
+	)
+	return response.data
+}
+
+/**
+ * POST a heartbeat to the Whistant server, signed with the proxy secret
+ */
+async function postHeartbeat(payload, token) {
+	const response = await axios.post(
+		`${config.WHISTANT_SERVER_URL}/server/heartbeat`,
+		payload,
+		{
+			headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+			timeout: 10000,
+		}
+	)
+	return response.data
+}
+
+module.exports = {
+	getRegistrationPath,
+	readRegistration,
+	saveRegistration,
+	postRegistration,
+	postHeartbeat,
+}
@@ -0,0 +1,195 @@
+/**
+ * Whistant Desktop App - Size-rotated line log
+ * file.log is rotated to file.log.1, file.log.2, ... once it reaches maxBytes.
+ * With compress, rotated files are gzipped (file.log.1.gz, ...).
+ * Lines go through an append stream; rotation and reads use async I/O.
+ */
+
+const path = require('path')
+const fs = require('fs')
+const fsp = require('fs/promises')
+const zlib = require('zlib')
+const { pipeline } = require('stream/promises')
+
+// Block size when reading the current file backwards
+const TAIL_CHUNK_BYTES = 64 * 1024
+
+/**
+ * Last `limit` lines of a plain file, read backwards from its end
+ */
+async function readFileTail(file, limit) {
+	const handle = await fsp.open(file, 'r')
+	try {
+		const { size } = await handle.stat()
+		const chunks = []
+		let position = size
+		let newlines = 0
+		while (position > 0 && newlines <= limit) {
+			const length = Math.min(TAIL_CHUNK_BYTES, position)
+			position -= length
+			const buffer = Buffer.alloc(length)
+			await handle.read(buffer, 0, length, position)
+			chunks.unshift(buffer)
+			for (let index = buffer.indexOf(10); index !== -1; index = buffer.indexOf(10, index + 1)) {
+				newlines++
+			}
+		}
+		const lines = Buffer.concat(chunks).toString('utf-8').split('\n')
+		if (position > 0) lines.shift()  // Cut off mid-line
+		return lines.filter(Boolean).slice(-limit)
+	} finally {
+		await handle.close()
+	}
+}
+
+/**
+ * Last `limit` lines of a gzipped file (gzip cannot be read backwards, so it is streamed)
+ */
+async function readGzipTail(file, limit) {
+	const source = fs.createReadStream(file)
+	const gunzip = zlib.createGunzip()
+	source.on('error', error => gunzip.destroy(error))
+	gunzip.setEncoding('utf-8')
+
+	let lines = []
+	let rest = ''
+	for await (const text of source.pipe(gunzip)) {
+		const parts = (rest + text).split('\n')
+		rest = parts.pop()
+		lines.push(...parts.filter(Boolean))
+		if (lines.length > 2 * limit) {
+			lines = lines.slice(-limit)
+		}
+	}
+	if (rest) lines.push(rest)
+	return lines.slice(-limit)
+}
+
+/**
+ * End a write stream and resolve once its file is closed
+ */
+function closeStream(stream) {
+	return new Promise(resolve => {
+		if (stream.closed) return resolve()
+		stream.once('close', resolve)
+		stream.end()
+	})
+}
+
+/**
+ * Create a line log at filePath that keeps at most maxFiles rotated files
+ */
+function createRotatingLog(filePath, { maxBytes = 5 * 1024 * 1024, maxFiles = 3, compress = false } = {}) {
+	const rotatedPath = (i) => `${filePath}.${i}${compress ? '.gz' : ''}`
+
+	let stream = null
+	let size = 0  // Bytes in filePath, read once when the stream opens
+	let rotation = null  // Promise while the current file is rotated
+	let pending = []  // Lines appended during a rotation
+
+	function open() {
+		fs.mkdirSync(path.dirname(filePath), { recursive: true })
+		try {
+			size = fs.statSync(filePath).size
+		} catch (e) {
+			size = 0
+		}
+		const opened = fs.createWriteStream(filePath, { flags: 'a' })
+		opened.on('error', () => {
+			if (stream === opened) stream = null
+		})
+		stream = opened
+	}
+
+	async function rotate() {
+		const previous = stream
+		stream = null
+		// Windows cannot rename a file that is still open
+		await closeStream(previous)
+
+		await fsp.rm(rotatedPath(maxFiles), { force: true })
+		for (let i = maxFiles - 1; i >= 1; i--) {
+			await fsp.rename(rotatedPath(i), rotatedPath(i + 1)).catch(() => {})
+		}
+		if (compress) {
+			await pipeline(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(rotatedPath(1)))
+			await fsp.unlink(filePath)
+		} else {
+			await fsp.rename(filePath, rotatedPath(1))
+		}
+	}
+
+	function flushPending() {
+		rotation = null
+		const lines = pending
+		pending = []
+		lines.forEach(append)
+	}
+
+	function append(line) {
+		const text = line.endsWith('\n') ? line : `${line}\n`
+		if (rotation) {
+			pending.push(text)
+			return
+		}
+		try {
+			if (!stream) open()
+			if (size >= maxBytes) {
+				pending.push(text)
+				// Logging must never break the caller
+				rotation = rotate().catch(() => {}).finally(flushPending)
+				return
+			}
+			stream.write(text)
+			size += Buffer.byteLength(text)
+		} catch (e) {
+			// Logging must never break the caller
+		}
+	}
+
+	/**
+	 * Newest `limit` lines, oldest first, across rotated files
+	 * Older files are only read while fewer lines have been found.
+	 */
+	async function readLines(limit = Infinity) {
+		const files = [filePath]
+		for (let i = 1; i <= maxFiles; i++) {
+			files.push(rotatedPath(i))
+		}
+
+		const chunks = []  // Newest file first
+		let count = 0
+		for (const file of files) {
+			if (count >= limit) break
+			try {
+				const lines = file.endsWith('.gz')
+					? await readGzipTail(file, limit - count)
+					: await readFileTail(file, limit - count)
+				chunks.push(lines)
+				count += lines.length
+			} catch (e) {
+				// Skip missing or unreadable files
+			}
+		}
+		return chunks.reverse().flat()
+	}
+
+	/**
+	 * Write out buffered lines and close the file (a later append reopens it)
+	 */
+	async function close() {
+		while (rotation) {
+			await rotation  // Lines held back during it may start another one
+		}
+		if (!stream) return
+		const closing = stream
+		stream = null
+		await closeStream(closing)
+	}
+
+	return { filePath, append, readLines, close }
+}
+
+module.exports = {
+	createRotatingLog,
+}
@@ -0,0 +1,74 @@
+/**
+ * Whistant Desktop App - Route policy for tunneled traffic
+ * Only the listed endpoints are forwarded; pull/push/delete/copy/create and
+ * anything else not listed are denied.
+ */
+
+// Read-only inference endpoints the iPhone needs
+const DEFAULT_ALLOWED_ROUTES = [
+	'POST /api/chat',
+	'POST /api/generate',
+	'POST /api/embeddings',
+	'POST /api/embed',
+	'GET /api/tags',
+	'POST /api/show',
+	'GET /api/version',
+]
+
+// The same for OpenAI-compatible backends (BACKEND_TYPE=openai)
+const DEFAULT_OPENAI_ALLOWED_ROUTES = [
+	'POST /v1/chat/completions',
+	'POST /v1/completions',
+	'POST /v1/embeddings',
+	'GET /v1/models',
+]
+
+/**
+ * Parse a route policy from config
+ * Accepts an array or a comma-separated string of "METHOD /path" entries;
+ * "* /path" or a bare "/path" allows any method. Empty values use defaults.
+ */
+function parseRoutePolicy(value, defaults = DEFAULT_ALLOWED_ROUTES) {
+	let entries = value
+	if (typeof value === 'string') {
+		entries = value.split(',')
+	}
+	if (!Array.isArray(entries) || entries.length === 0) {
+		entries = defaults
+	}
+
+	return entries
+		.map(entry => entry.trim())
+		.filter(Boolean)
+		.map(entry => {
+			const parts = entry.split(/\s+/)
+			if (parts.length === 1) {
+				return { method: '*', path: parts[0] }
+			}
+			return { method: parts[0].toUpperCase(), path: parts[1] }
+		})
+}
+
+/**
+ * Check a request against the policy (exact path match)
+ */
+function isRouteAllowed(policy, method, pathname) {
+	return policy.some(route =>
+		route.path === pathname && (route.method === '*' || route.method === method.toUpperCase())
+	)
+}
+
+/**
+ * Format a policy for logging
+ */
+function describeRoutePolicy(policy) {
+	return policy.map(route => `${route.method} ${route.path}`).join(', ')
+}
+
+module.exports = {
+	DEFAULT_ALLOWED_ROUTES,
+	DEFAULT_OPENAI_ALLOWED_ROUTES,
+	parseRoutePolicy,
+	isRouteAllowed,
+	describeRoutePolicy,
+}
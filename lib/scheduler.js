@@ -0,0 +1,159 @@
+/**
+ * Whistant Desktop App - Request scheduler for remote inference
+ * Limits concurrent generations, queues the rest in a bounded FIFO with a
+ * timeout, and rate-limits each client.
+ */
+
+// Endpoints that occupy a generation slot
+const GENERATION_PATHS = new Set([
+	'/api/chat',
+	'/api/generate',
+	'/api/embeddings',
+	'/api/embed',
+	'/v1/chat/completions',
+	'/v1/completions',
+	'/v1/embeddings',
+])
+
+/**
+ * Error carrying the HTTP status and Retry-After the proxy should answer with
+ */
+function schedulerError(message, status, retryAfterSeconds) {
+	const error = new Error(message)
+	error.status = status
+	error.retryAfterSeconds = retryAfterSeconds
+	return error
+}
+
+/**
+ * Create a scheduler
+ * maxConcurrent: generations running at once
+ * maxQueue: requests allowed to wait for a slot (0 disables queueing)
+ * queueTimeoutMs: how long a request may wait before it is rejected
+ * rateLimitPerMinute: requests per client per minute (0 disables the limit)
+ */
+function createScheduler({ maxConcurrent = 1, maxQueue = 8, queueTimeoutMs = 120000, rateLimitPerMinute = 30 } = {}) {
+	let active = 0
+	const queue = []
+	const clientHits = new Map()
+
+	/**
+	 * Count a request against the client's sliding one-minute window
+	 * Throws a 429 error when the client is over its limit
+	 */
+	function checkRateLimit(clientId) {
+		if (!rateLimitPerMinute) return
+
+		const now = Date.now()
+		const hits = (clientHits.get(clientId) || []).filter(t => now - t < 60000)
+		if (hits.length >= rateLimitPerMinute) {
+			clientHits.set(clientId, hits)
+			const retryAfter = Math.ceil((60000 - (now - hits[0])) / 1000)
+			throw schedulerError(`Rate limit exceeded (${rateLimitPerMinute} requests per minute)`, 429, retryAfter)
+		}
+		hits.push(now)
+		clientHits.set(clientId, hits)
+
+		// Forget idle clients so the map does not grow forever
+		if (clientHits.size > 1000) {
+			for (const [id, times] of clientHits) {
+				if (now - times[times.length - 1] >= 60000) clientHits.delete(id)
+			}
+		}
+	}
+
+	function createRelease() {
+		let released = false
+		return () => {
+			if (released) return
+			released = true
+			active--
+			next()
+		}
+	}
+
+	function next() {
+		while (active < maxConcurrent && queue.length > 0) {
+			const waiter = queue.shift()
+			waiter.cleanup()
+			active++
+			waiter.resolve(createRelease())
+		}
+	}
+
+	/**
+	 * Wait for a generation slot; resolves with a release function
+	 * Rejects with a 429 error when the queue is full or the wait times out,
+	 * and drops out of the queue if signal aborts
+	 */
+	function acquire(signal) {
+		// An abort listener added now would never fire
+		if (signal?.aborted) {
+			return Promise.reject(schedulerError('Client disconnected while queued', 499))
+		}
+
+		if (active < maxConcurrent) {
+			active++
+			return Promise.resolve(createRelease())
+		}
+
+		if (queue.length >= maxQueue) {
+			return Promise.reject(schedulerError(`Server busy: ${queue.length} requests already queued`, 429, 5))
+		}
+
+		return new Promise((resolve, reject) => {
+			const waiter = { resolve }
+
+			const leaveQueue = (error) => {
+				const index = queue.indexOf(waiter)
+				if (index !== -1) {
+					queue.splice(index, 1)
+				}
+				waiter.cleanup()
+				reject(error)
+			}
+
+			const timer = setTimeout(() => {
+				leaveQueue(schedulerError(`Timed out after ${Math.round(queueTimeoutMs / 1000)}s waiting in queue`, 429, 10))
+			}, queueTimeoutMs)
+			const onAbort = () => leaveQueue(schedulerError('Client disconnected while queued', 499))
+
+			waiter.cleanup = () => {
+				clearTimeout(timer)
+				signal?.removeEventListener('abort', onAbort)
+			}
+			signal?.addEventListener('abort', onAbort)
+			queue.push(waiter)
+		})
+	}
+
+	function getStats() {
+		return { active, queued: queue.length, maxConcurrent, maxQueue }
+	}
+
+	/**
+	 * Change the limits (same options as createScheduler) without dropping
+	 * running or queued requests; more slots start queued requests right away
+	 */
+	function configure(options = {}) {
+		if (options.maxConcurrent !== undefined) maxConcurrent = options.maxConcurrent
+		if (options.maxQueue !== undefined) maxQueue = options.maxQueue
+		if (options.queueTimeoutMs !== undefined) queueTimeoutMs = options.queueTimeoutMs
+		if (options.rateLimitPerMinute !== undefined) rateLimitPerMinute = options.rateLimitPerMinute
+		next()
+	}
+
+	return { checkRateLimit, acquire, getStats, configure }
+}
+
+/**
+ * Check whether a request needs a generation slot
+ */
+function isGenerationPath(pathname) {
+	return GENERATION_PATHS.has(pathname)
+}
+
+module.exports = {
+	createScheduler,
+	isGenerationPath,
+}
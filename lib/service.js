@@ -0,0 +1,715 @@
+/**
+ * Whistant Desktop App - Services shared by the Electron app and the CLI
+ * Owns the auth proxy, tunnel, registration updates and monitoring.
+ * The inference server (Ollama or OpenAI-compatible) is reached through lib/backends.
+ * Warnings for the UI are emitted on `events` ('registration-warning').
+ */
+
+const { EventEmitter } = require('events')
+const config = require('./config')
+const { getUserDataDir } = require('./paths')
+const { collectSystemInfo } = require('./system-info')
+const { configureOllamaForRemote, stopSupervisedOllama, getOllamaSupervisorStatus } = require('./ollama')
+const { getBackend } = require('./backends')
+const { startTunnelProvider, stopTunnelProvider, resetTunnelProvider, getDetectedTunnelUrl, refreshTunnelUrl, getTunnelProvider } = require('./tunnels')
+const { readRegistration, saveRegistration, postRegistration, postHeartbeat } = require('./registration')
+const { generateProxySecret, signProxyToken, startAuthProxy, stopAuthProxy } = require('./proxy')
+const { loadModelAllowlist, saveModelAllowlist, isModelAllowed, filterAllowedModels } = require('./model-allowlist')
+const { createAuditLog } = require('./audit-log')
+const { createScheduler } = require('./scheduler')
+const { createTunnelHealthMonitor, HEALTH_CHECK_CLIENT } = require('./tunnel-health')
+const { buildHeartbeatPayload, createHeartbeat } = require('./heartbeat')
+const { createModelSync } = require('./model-sync')
+const { fetchModelEntries } = require('./model-management')
+const { version: appVersion } = require('../package.json')
+const { isRouteAllowed, describeRoutePolicy } = require('./route-policy')
+const { createLogger } = require('./logger')
+
+const log = createLogger('service')
+
+const events = new EventEmitter()
+
+let proxySecret = null  // Secret shared with Whistant backend, loaded from registration.json
+let modelAllowlist = null  // Published models, null means all models are published
+let auditLog = null  // Record of every tunneled request (audit.log next to registration.json)
+const requestScheduler = createScheduler(getSchedulerOptions())
+let tunnelHealth = null  // End-to-end probe of the public URL, created by startServices
+let heartbeat = null  // Periodic live status to the Whistant backend, created by startServices
+let servicesStartedAt = null
+let modelSync = null  // Watches the backend's model list and pushes changes, created by startServices
+let modelPushGeneration = 0  // Bumped per model change so an older retry loop gives up
+
+// Waits between attempts to push a changed model list
+const MODEL_PUSH_RETRY_DELAYS_MS = [5000, 15000, 45000, 120000]
+
+/**
+ * Load persisted state (secret, allowlist, audit log) from the data directory
+ */
+function initServices() {
+	proxySecret = readRegistration()?.proxySecret || null
+	modelAllowlist = loadModelAllowlist(getUserDataDir())
+	auditLog = createAuditLog(getUserDataDir())
+}
+
+/**
+ * Fetch the models that are published to the iPhone (allowlist applied)
+ */
+async function fetchPublishedModels() {
+	const backend = getBackend()
+	let models = []
+	try {
+		models = (await backend.listModels()).map(m => m.name)
+	} catch (e) {
+		log.warn(`⚠️  Could not fetch models from ${backend.label}`)
+	}
+	return filterAllowedModels(modelAllowlist, models)
+}
+
+/**
+ * Pass a warning to whoever shows it (renderer or CLI), or log it
+ */
+function notifyRegistrationWarning(reason, detail) {
+	if (events.listenerCount('registration-warning') === 0) {
+		log.warn(`⚠️  Registration warning (${reason}): ${detail}`)
+		return
+	}
+	events.emit('registration-warning', { reason, detail })
+}
+
+/**
+ * Register this server with Whistant using a link code from the iPhone
+ * Resolves with { success, data } where data is what gets saved as registration.json
+ */
+async function registerServer(linkCode) {
+	try {
+		// Collect all system information
+		const systemInfo = collectSystemInfo()
+		const { deviceId, osInfo, hardware, nvidiaInfo, amdInfo, intelInfo, macInfo, gpuType } = systemInfo
+
+		// Get tunnel URL - wait for the tunnel if not available yet
+		let publicUrl = getDetectedTunnelUrl()
+		
+		if (!publicUrl) {
+			log.info('⏳ Waiting for tunnel URL...')
+			let attempts = 0
+			const maxAttempts = 60 // 60 seconds (increased timeout)
+			
+			while (attempts < maxAttempts && !publicUrl) {
+				try {
+					const freshUrl = await refreshTunnelUrl()  // Caches it
+					if (freshUrl) {
+						publicUrl = freshUrl
+						log.info(`✅ Detected tunnel URL: ${publicUrl}`)
+						break
+					}
+				} catch (e) {
+					// Continue waiting
+					log.info(`⏳ Attempt ${attempts + 1}/${maxAttempts} - waiting for tunnel...`)
+				}
+				
+				attempts++
+				if (attempts < maxAttempts) {
+					await new Promise(resolve => setTimeout(resolve, 1000)) // Wait 1 second
+				}
+			}
+			
+			// If we still don't have a URL after waiting, fall back to localhost
+			if (!publicUrl) {
+				log.warn('⚠️  Could not detect tunnel URL after 60 seconds')
+				log.warn('⚠️  Using localhost as fallback - server will only be accessible locally')
+				// The auth proxy, never the backend itself: only the proxy checks tokens, routes and models
+				publicUrl = config.PROXY_URL
+			}
+		} else {
+			log.info(`📡 Using cached tunnel URL: ${publicUrl}`)
+		}
+
+		// Get the published models from the backend, with size/quantization/capabilities for the iPhone
+		const availableModels = await fetchPublishedModels()
+		const modelEntries = await fetchModelEntries(availableModels)
+
+		// Fresh secret per link; the backend uses it to sign tokens for the phone
+		const newProxySecret = generateProxySecret()
+		log.info(`📦 Found ${availableModels.length} models: ${availableModels.join(', ')}`)
+		
+		// Log what we collected
+		log.info('📝 System Information Collected:')
+		log.info(`   Device ID: ${deviceId}`)
+		log.info(`   OS: ${osInfo.platform} ${osInfo.release} (${osInfo.arch})`)
+		log.info(`   Hardware: ${JSON.stringify(hardware)}`)
+		log.info(`   URL: ${publicUrl}`)
+		log.info(`   Models: ${availableModels.join(', ')}`)
+
+		// Try to register with remote server using link code
+		try {
+			const payload = {
+				link_code: linkCode.toLowerCase(),
+				deviceId: deviceId,
+				osInfo: JSON.stringify(osInfo),
+				hardware: JSON.stringify(hardware),
+				url: publicUrl,
+				backend: getBackend().type,
+				models: modelEntries,
+				proxySecret: newProxySecret,
+			}
+
+			log.info('Attempting to register with remote server...')
+			log.debug('Sending payload', { payload: { ...payload, proxySecret: '[redacted]' } })
+
+			const responseData = await postRegistration(payload)
+
+			log.info('✅ Remote server registration successful!')
+			log.debug('Response', { response: responseData })
+
+			// Check if server confirmed registration (check for success code or userId)
+			if (responseData.code !== 'SERVER_REGISTER_SUCCESS' && !responseData.userId) {
+				throw new Error('Server did not confirm registration')
+			}
+
+			return {
+				success: true,
+				data: {
+					registered: true,
+					userId: responseData.userId,
+					serverId: responseData.serverId,
+					username: responseData.username,
+					url: publicUrl,
+					os: `${osInfo.platform} ${osInfo.release}`,
+					device: deviceId,
+					models: availableModels,
+					nvidiaDriver: nvidiaInfo.driver,
+					cudaVersion: nvidiaInfo.cuda,
+					gpuType: gpuType,
+					amdInfo: amdInfo,
+					intelInfo: intelInfo,
+					macInfo: macInfo,
+					proxySecret: newProxySecret,
+				},
+			}
+		} catch (remoteError) {
+			log.error('❌ Remote registration failed')
+			log.error('Remote error', { error: remoteError.message })
+			if (remoteError.response?.data) {
+				log.error('Server response', { response: remoteError.response.data })
+			}
+			
+			// Return error - don't fake success
+			return {
+				success: false,
+				error: remoteError.response?.data?.error || remoteError.message || 'Failed to register with Whistant server',
+			}
+		}
+	} catch (error) {
+		log.error('❌ Registration error', { error: error.message })
+		if (error.response?.data) {
+			log.error('Server error response', { response: error.response.data })
+		}
+		return {
+			success: false,
+			error: error.message || 'Failed to collect system information',
+		}
+	}
+}
+
+/**
+ * Save registration data (null unlinks) and pick up its proxy secret
+ */
+function storeRegistration(data) {
+	saveRegistration(data)
+	proxySecret = data?.proxySecret || null
+}
+
+/**
+ * Re-send server info for an existing registration and update registration.json
+ */
+async function sendRegistrationUpdate(registration, url, secret, models = null) {
+	// Collect system info for the update
+	const sysInfo = collectSystemInfo()
+
+	// Get currently published models (unless the caller already has them)
+	const publishedModels = models || await fetchPublishedModels()
+	const modelEntries = await fetchModelEntries(publishedModels)
+
+	const payload = {
+		link_code: registration.serverId.toLowerCase(),
+		deviceId: sysInfo.deviceId,
+		osInfo: JSON.stringify(sysInfo.osInfo),
+		hardware: JSON.stringify(sysInfo.hardware),
+		url: url,
+		backend: getBackend().type,
+		models: modelEntries,
+		proxySecret: secret,
+	}
+
+	const responseData = await postRegistration(payload)
+	log.debug('Response', { response: responseData })
+
+	// Update local registration file (names only; the entries are rebuilt on every push)
+	registration.url = url
+	registration.models = publishedModels
+	registration.proxySecret = secret
+	saveRegistration(registration)
+	proxySecret = secret
+
+	return responseData
+}
+
+/**
+ * Update server URL on Whistant if already registered
+ */
+async function updateServerUrlIfRegistered(newUrl) {
+	try {
+		const registration = readRegistration()
+		if (!registration) {
+			log.info('⏭️  No registration file found, skipping URL update')
+			return // Not registered yet
+		}
+
+		if (!registration.registered || !registration.serverId) {
+			log.info('⏭️  Server not registered yet, skipping URL update')
+			return // Not registered yet
+		}
+
+		log.info(`🔍 Current URL: ${registration.url}`)
+		log.info(`🔍 New URL: ${newUrl}`)
+
+		// Registrations made before the auth proxy existed have no secret yet
+		const secret = registration.proxySecret || generateProxySecret()
+
+		// Check if URL actually changed
+		if (registration.url === newUrl && registration.proxySecret) {
+			log.info('⏭️  URL unchanged, skipping update')
+			return // URL hasn't changed
+		}
+
+		log.info(`📡 Updating server URL on Whistant: ${registration.serverId}`)
+		log.info(`   Old: ${registration.url}`)
+		log.info(`   New: ${newUrl}`)
+
+		await sendRegistrationUpdate(registration, newUrl, secret)
+		log.info('✅ Server URL updated on Whistant backend')
+
+	} catch (error) {
+		log.error('❌ Failed to update server URL on Whistant', { error: error.message })
+		if (error.response?.data) {
+			log.error('Server response', { response: error.response.data })
+		}
+		notifyRegistrationWarning('server-url-update-failed', error.response?.data?.error || error.response?.data?.code || error.message)
+	}
+}
+
+/**
+ * Get the published model allowlist (null means every model is published)
+ */
+function getModelAllowlist() {
+	return modelAllowlist
+}
+
+/**
+ * Save the published model allowlist and push the new model list to Whistant
+ */
+async function setModelAllowlist(models) {
+	modelAllowlist = saveModelAllowlist(getUserDataDir(), models)
+	log.info(`📋 Published models: ${modelAllowlist ? modelAllowlist.join(', ') : 'all'}`)
+
+	const registration = readRegistration()
+	if (registration?.registered && registration.serverId) {
+		try {
+			await sendRegistrationUpdate(registration, getDetectedTunnelUrl() || registration.url, registration.proxySecret || generateProxySecret())
+			log.info('✅ Published model list updated on Whistant backend')
+		} catch (error) {
+			log.error('❌ Failed to update published models on Whistant', { error: error.message })
+			notifyRegistrationWarning('model-list-update-failed', error.response?.data?.error || error.message)
+		}
+	}
+
+	return modelAllowlist
+}
+
+/**
+ * Push the published model list to Whistant after Ollama's models changed
+ * Retries with increasing delays; a newer change replaces an ongoing retry loop.
+ */
+async function pushModelChange(models, diff) {
+	const generation = ++modelPushGeneration
+	const published = filterAllowedModels(modelAllowlist, models.map(m => m.name))
+	// A re-pulled published model may have new metadata (size, quantization, ...)
+	const repulled = diff.changed.some(name => published.includes(name))
+
+	events.emit('models-changed', { models: models.map(m => m.name), published })
+
+	let lastError = null
+	for (let attempt = 0; attempt <= MODEL_PUSH_RETRY_DELAYS_MS.length; attempt++) {
+		if (attempt > 0) {
+			await new Promise(resolve => setTimeout(resolve, MODEL_PUSH_RETRY_DELAYS_MS[attempt - 1]))
+		}
+		if (generation !== modelPushGeneration) return  // A newer change took over
+
+		const registration = readRegistration()
+		if (!registration?.registered || !registration.serverId) return
+
+		// Publishing rules may hide the change (e.g. an unpublished model was pulled)
+		const registered = registration.models || []
+		if (!repulled && published.length === registered.length && published.every(name => registered.includes(name))) {
+			return
+		}
+
+		try {
+			await sendRegistrationUpdate(registration, getDetectedTunnelUrl() || registration.url, registration.proxySecret || generateProxySecret(), published)
+			log.info(`✅ Published model list synced to Whistant (${published.length} models)`)
+			return
+		} catch (error) {
+			lastError = error
+			log.warn(`⚠️  Model list sync failed (attempt ${attempt + 1}/${MODEL_PUSH_RETRY_DELAYS_MS.length + 1}): ${error.message}`)
+		}
+	}
+
+	notifyRegistrationWarning('model-list-update-failed', lastError?.response?.data?.error || lastError?.message)
+}
+
+/**
+ * Check for model changes now (after a pull or delete) instead of waiting for the next poll
+ */
+async function refreshModels() {
+	if (modelSync) {
+		await modelSync.checkNow()
+	}
+}
+
+/**
+ * Get the audit log of tunneled requests (null before initServices)
+ */
+function getAuditLog() {
+	return auditLog
+}
+
+/**
+ * Start the tunnel and push its URL to Whistant if already registered
+ */
+async function startTunnel() {
+	const tunnelUrl = await startTunnelProvider()
+	if (tunnelUrl) {
+		// Update URL on Whistant server if already registered
+		await updateServerUrlIfRegistered(tunnelUrl)
+	}
+	return tunnelUrl
+}
+
+/**
+ * Stop and start the tunnel again (URL update is sent automatically by startTunnel)
+ */
+async function restartTunnel() {
+	// Kill old process if still running
+	stopTunnelProvider()
+	const newTunnelUrl = await startTunnel()
+	if (newTunnelUrl) {
+		log.info(`✅ Tunnel restarted: ${newTunnelUrl}`)
+	} else {
+		log.error('❌ Failed to restart tunnel')
+	}
+	return newTunnelUrl
+}
+
+/**
+ * Latest end-to-end tunnel health (null before startServices)
+ */
+function getTunnelHealth() {
+	return tunnelHealth ? tunnelHealth.getStatus() : null
+}
+
+/**
+ * Collect live status for a heartbeat (null when not linked)
+ */
+async function collectHeartbeat() {
+	const registration = readRegistration()
+	if (!registration?.registered || !registration.serverId || !proxySecret) {
+		return null
+	}
+
+	const backend = getBackend()
+	let ollama = { reachable: false, version: null, loadedModels: [] }
+	if (await backend.checkHealth()) {
+		const version = await backend.getVersion().catch(() => null)
+		// Same list as the check-loaded-models handler, minus unpublished models
+		const loadedModels = filterAllowedModels(modelAllowlist, await backend.listLoadedModels().catch(() => []))
+		ollama = { reachable: true, version, loadedModels }
+	}
+	const backends = backend.getStatus()
+	ollama.backends = { total: backends.length, healthy: backends.filter(b => b.healthy).length }
+
+	const health = getTunnelHealth()
+	return buildHeartbeatPayload({
+		serverId: registration.serverId,
+		appVersion,
+		uptimeSeconds: (Date.now() - servicesStartedAt) / 1000,
+		tunnel: {
+			url: getDetectedTunnelUrl() || registration.url,
+			provider: getTunnelProvider().name,
+			healthy: health && health.state !== 'unknown' ? health.state === 'ok' : null,
+			latencyMs: health?.latencyMs,
+		},
+		backend: backend.type,
+		ollama,
+		queue: requestScheduler.getStats(),
+	})
+}
+
+/**
+ * Scheduler limits from the config (re-read when the settings change)
+ */
+function getSchedulerOptions() {
+	return {
+		maxConcurrent: config.MAX_CONCURRENT_GENERATIONS,
+		maxQueue: config.MAX_QUEUE_SIZE,
+		queueTimeoutMs: config.QUEUE_TIMEOUT_MS,
+		rateLimitPerMinute: config.RATE_LIMIT_PER_MINUTE,
+	}
+}
+
+/**
+ * Start the auth proxy in front of the backend (the tunnel's target)
+ */
+function startProxy() {
+	return startAuthProxy({
+		port: config.PROXY_PORT,
+		getTargets: (model) => getBackend().getTargets(model),
+		getUpstreamHeaders: () => getBackend().upstreamHeaders,
+		onUpstreamError: (target, error) => getBackend().reportFailure(target, error),
+		getSecret: () => proxySecret,
+		isModelAllowed: (name) => isModelAllowed(modelAllowlist, name),
+		isRouteAllowed: (method, pathname) => isRouteAllowed(config.ALLOWED_ROUTES, method, pathname),
+		onRequestComplete: (entry) => {
+			// The app's own health probes would drown out real traffic
+			if (entry.client !== HEALTH_CHECK_CLIENT) auditLog.record(entry)
+		},
+		scheduler: requestScheduler,
+	})
+}
+
+/**
+ * Configure Ollama, start the auth proxy and the tunnel
+ * Resolves with the tunnel URL (or null) once everything has been attempted.
+ * confirmSystemdOverride is passed to configureOllamaForRemote (desktop asks with a dialog).
+ * OpenAI-compatible backends are run by the user; the app only connects to them.
+ */
+async function startServices({ confirmSystemdOverride } = {}) {
+	servicesStartedAt = Date.now()
+
+	// Ollama is configured in parallel with the proxy and tunnel
+	const backend = getBackend()
+	let ollamaReady = Promise.resolve()
+	if (backend.type === 'ollama') {
+		ollamaReady = configureOllamaForRemote({ confirmSystemdOverride })
+			.then(configResult => {
+				if (configResult.success) {
+					log.info('✅ Ollama configured successfully')
+				} else {
+					log.warn(`⚠️  Ollama configuration failed, but app will continue: ${configResult.error}`)
+				}
+			})
+			.catch(e => log.error('Error configuring Ollama', { error: e.message }))
+	} else {
+		log.info(`🔌 Using ${backend.label} backend at ${backend.url}`)
+	}
+
+	// Only expose the tunnel once the auth proxy is guarding it
+	log.info(`🛡️  Tunnel route policy: ${describeRoutePolicy(config.ALLOWED_ROUTES)}`)
+	log.info(`🚦 Scheduler: ${config.MAX_CONCURRENT_GENERATIONS} concurrent, queue ${config.MAX_QUEUE_SIZE}, ${config.RATE_LIMIT_PER_MINUTE} req/min per client`)
+	let tunnelUrl = null
+	try {
+		await startProxy()
+		tunnelUrl = await startTunnel()
+		if (tunnelUrl) {
+			log.info(`📡 Tunnel is ready for use: ${tunnelUrl}`)
+		} else {
+			log.warn('⚠️  No tunnel available, will use localhost')
+		}
+	} catch (e) {
+		log.error('Error starting tunnel', { error: e.message })
+	}
+
+	// Probe the public URL itself; restarts the tunnel when it stays unreachable
+	if (!tunnelHealth) {
+		tunnelHealth = createTunnelHealthMonitor({
+			getUrl: () => getDetectedTunnelUrl(),
+			getSecret: () => proxySecret,
+			getProbePath: () => getBackend().probePath,
+			restart: restartTunnel,
+			intervalMs: config.TUNNEL_HEALTH_INTERVAL_MS,
+			timeoutMs: config.TUNNEL_HEALTH_TIMEOUT_MS,
+			failureThreshold: config.TUNNEL_HEALTH_FAILURES,
+		})
+	}
+	tunnelHealth.start()
+
+	// Live status for the iPhone (skipped until the server is linked)
+	if (!heartbeat) {
+		heartbeat = createHeartbeat({
+			collect: collectHeartbeat,
+			send: (payload) => postHeartbeat(payload, signProxyToken(proxySecret, payload.serverId)),
+			intervalMs: config.HEARTBEAT_INTERVAL_MS,
+		})
+	}
+	heartbeat.start()
+
+	// Push the model list when models are pulled, deleted or re-pulled
+	if (!modelSync) {
+		modelSync = createModelSync({
+			fetchModels: () => getBackend().listModels(),
+			onChange: (models, diff) => {
+				// Retries can take minutes; don't hold up the next poll
+				pushModelChange(models, diff).catch(e => log.error('Model list sync error', { error: e.message }))
+			},
+			intervalMs: config.MODEL_SYNC_INTERVAL_MS,
+		})
+	}
+	modelSync.start()
+
+	await ollamaReady
+	return tunnelUrl
+}
+
+/**
+ * Stop the tunnel, the auth proxy and the Ollama the app started
+ * Resolves once Ollama has exited, so callers can quit afterwards.
+ */
+async function stopServices() {
+	if (tunnelHealth) tunnelHealth.stop()
+	if (heartbeat) heartbeat.stop()
+	if (modelSync) modelSync.stop()
+	stopTunnelProvider()
+	stopAuthProxy()
+	await stopSupervisedOllama()
+}
+
+/**
+ * Apply saved settings to the running services without a restart
+ * changedKeys are the config keys whose value changed. A new bind address
+ * restarts Ollama on it, a new backend type starts or stops it; the proxy
+ * reads the backend URL per request; a new proxy address moves the tunnel to it;
+ * new queue and rate limits apply to the running scheduler.
+ * Resolves with { backendReachable, reregistered, warnings }.
+ */
+async function applyConfigChange(changedKeys, { confirmSystemdOverride } = {}) {
+	const changed = new Set(changedKeys)
+	const result = { backendReachable: null, reregistered: false, warnings: [] }
+	if (changed.size === 0) return result
+	log.info(`⚙️  Applying settings: ${[...changed].join(', ')}`)
+
+	if (changed.has('PROXY_URL')) {
+		stopAuthProxy()
+		resetTunnelProvider()
+		try {
+			await startProxy()
+			await startTunnel()
+		} catch (e) {
+			result.warnings.push(`Auth proxy did not restart: ${e.message}`)
+		}
+	}
+
+	const schedulerKeys = ['MAX_CONCURRENT_GENERATIONS', 'MAX_QUEUE_SIZE', 'QUEUE_TIMEOUT_MS', 'RATE_LIMIT_PER_MINUTE']
+	if (schedulerKeys.some(key => changed.has(key))) {
+		requestScheduler.configure(getSchedulerOptions())
+		log.info('✅ Queue and rate limits updated', requestScheduler.getStats())
+	}
+
+	// Ollama is only run for the ollama backend; one the app started frees the GPU otherwise
+	if (changed.has('BACKEND_TYPE') && getBackend().type !== 'ollama') {
+		await stopSupervisedOllama()
+	} else if ((changed.has('OLLAMA_HOST') || changed.has('BACKEND_TYPE')) && getBackend().type === 'ollama') {
+		const configResult = await configureOllamaForRemote({ confirmSystemdOverride })
+			.catch(e => ({ success: false, error: e.message }))
+		if (!configResult.success) {
+			result.warnings.push(`Ollama was not restarted on ${config.OLLAMA_HOST}: ${configResult.error}`)
+		}
+	}
+
+	const backendChanged = ['BACKEND_TYPE', 'OLLAMA_SERVER_URL', 'OPENAI_BACKEND_URL', 'OPENAI_BACKEND_API_KEY', 'BACKEND_URLS'].some(key => changed.has(key))
+	if (backendChanged) {
+		const backend = getBackend()
+		result.backendReachable = await backend.checkHealth()
+		if (result.backendReachable) {
+			log.info(`✅ ${backend.label} reachable at ${backend.url}`)
+		} else {
+			log.warn(`⚠️  ${backend.label} not reachable at ${backend.url}`)
+			result.warnings.push(`${backend.label} is not reachable at ${backend.url}`)
+		}
+		// The new server has other models; the sync pushes them to Whistant
+		await refreshModels().catch(e => log.warn('⚠️  Model refresh failed', { error: e.message }))
+	}
+
+	// A different Whistant server needs this server's registration, and the
+	// iPhone has to learn which API a different kind of backend speaks
+	const registration = readRegistration()
+	if ((changed.has('WHISTANT_SERVER_URL') || changed.has('BACKEND_TYPE')) && registration?.registered && registration.serverId) {
+		try {
+			const url = getDetectedTunnelUrl() || registration.url
+			await sendRegistrationUpdate(registration, url, registration.proxySecret || generateProxySecret())
+			log.info(`✅ Registration sent to ${config.WHISTANT_SERVER_URL}`)
+			result.reregistered = true
+		} catch (e) {
+			log.error('❌ Registration update on the new Whistant server failed', { error: e.message })
+			result.warnings.push(`Registration update on ${config.WHISTANT_SERVER_URL} failed: ${e.response?.data?.error || e.message}`)
+		}
+	}
+
+	return result
+}
+
+/**
+ * Monitor services every 30 minutes
+ */
+async function monitorServices() {
+	log.info('🔍 Service monitoring check...')
+
+	try {
+		// Check if the backend is running
+		const backend = getBackend()
+		if (!(await backend.checkHealth())) {
+			// Only the Ollama the app started is restarted (by its supervisor)
+			const supervisor = backend.type === 'ollama' ? getOllamaSupervisorStatus() : null
+			if (supervisor && supervisor.state !== 'stopped') {
+				log.warn(`⚠️  Ollama appears to be down (supervisor: ${supervisor.state}, ${supervisor.restarts} restarts)`)
+			} else {
+				log.warn(`⚠️  ${backend.label} appears to be down, but not restarting (not started by the app)`)
+			}
+		} else {
+			log.info(`✅ ${backend.label} is running`)
+		}
+	} catch (e) {
+		log.warn('⚠️  Backend check failed', { error: e.message })
+	}
+
+	try {
+		// Check if tunnel is still active
+		const tunnelUrl = await refreshTunnelUrl()
+		if (tunnelUrl) {
+			log.info(`✅ Tunnel is active: ${tunnelUrl}`)
+			// Check if URL changed and update if needed
+			await updateServerUrlIfRegistered(tunnelUrl)
+		} else {
+			log.warn('⚠️  Tunnel is down, restarting it...')
+			await restartTunnel()
+		}
+	} catch (e) {
+		log.warn('⚠️  Tunnel monitoring failed', { error: e.message })
+	}
+}
+
+module.exports = {
+	events,
+	initServices,
+	fetchPublishedModels,
+	registerServer,
+	storeRegistration,
+	updateServerUrlIfRegistered,
+	getModelAllowlist,
+	setModelAllowlist,
+	getAuditLog,
+	getTunnelHealth,
+	refreshModels,
+	startServices,
+	stopServices,
+	applyConfigChange,
+	monitorServices,
+}
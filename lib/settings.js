@@ -0,0 +1,200 @@
+/**
+ * Whistant Desktop App - User settings edited in the app
+ * Saved to settings.json in the data directory. Precedence is
+ * environment / .env > settings.json > config/defaults.json > built-in defaults,
+ * so a value set in the environment cannot be changed here.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const axios = require('axios')
+const config = require('./config')
+const { BIND_POLICIES, listInterfaceAddresses, resolveOllamaBind } = require('./ollama-bind')
+const { BACKEND_TYPES } = require('./backends')
+
+const SETTINGS = [
+	{ key: 'WHISTANT_SERVER_URL', label: 'Whistant server', type: 'url' },
+	{ key: 'BACKEND_TYPE', label: 'Backend', type: 'choice', choices: BACKEND_TYPES },
+	{ key: 'OPENAI_BACKEND_URL', label: 'OpenAI-compatible server (for "openai")', type: 'url' },
+	{ key: 'BACKEND_URLS', label: 'More servers of that type (comma-separated)', type: 'urls' },
+	{ key: 'OLLAMA_SERVER_URL', label: 'Ollama server', type: 'url' },
+	{ key: 'OLLAMA_BIND', label: 'Ollama listens on', type: 'choice', choices: BIND_POLICIES },
+	{ key: 'OLLAMA_BIND_ADDRESS', label: 'Ollama interface (for "interface")', type: 'address' },
+	{ key: 'OLLAMA_PORT', label: 'Ollama port', type: 'port' },
+	{ key: 'LOG_LEVEL', label: 'Log level', type: 'choice', choices: ['debug', 'info', 'warn', 'error'] },
+]
+
+/**
+ * Every setting with its effective value, its source and the value it falls back to
+ */
+function getSettings() {
+	const userSettings = config.getUserSettings()
+	return {
+		path: config.getSettingsPath(),
+		settings: SETTINGS.map(setting => ({
+			...setting,
+			// Addresses to pick from for the interface policy
+			suggestions: setting.type === 'address'
+				? listInterfaceAddresses().map(entry => ({ value: entry.address, label: entry.name }))
+				: undefined,
+			value: Array.isArray(config[setting.key]) ? config[setting.key].join(', ') : config[setting.key],
+			source: config.getSource(setting.key),
+			userValue: userSettings[setting.key] ?? '',
+			defaultValue: config.getDefault(setting.key),
+		})),
+	}
+}
+
+/**
+ * Check the format of one value; returns an error message or null
+ */
+function validateSetting(setting, value) {
+	if (value === '') return null  // Back to the default
+	if (setting.type === 'urls') {
+		for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+			const error = validateSetting({ type: 'url' }, entry)
+			if (error) return `${entry}: ${error}`
+		}
+		return null
+	}
+	if (setting.type === 'url') {
+		let url
+		try {
+			url = new URL(value)
+		} catch (e) {
+			return 'Not a valid URL'
+		}
+		if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+			return 'Must start with http:// or https://'
+		}
+		return null
+	}
+	if (setting.type === 'port') {
+		const port = Number(value)
+		if (!Number.isInteger(port) || port < 1 || port > 65535) {
+			return 'Must be a port number (1-65535)'
+		}
+		if (port === config.PROXY_PORT) {
+			return `Used by the auth proxy (PROXY_PORT ${config.PROXY_PORT})`
+		}
+		return null
+	}
+	if (setting.type === 'choice' && !setting.choices.includes(value)) {
+		return `Must be one of: ${setting.choices.join(', ')}`
+	}
+	return null
+}
+
+/**
+ * Check that a URL answers; returns an error message or null
+ * Ollama must answer /api/version, an OpenAI-compatible server /v1/models.
+ * Any HTTP response from the Whistant server counts, since it has no public
+ * health endpoint.
+ */
+async function probeSetting(key, value) {
+	try {
+		if (key === 'OLLAMA_SERVER_URL') {
+			const response = await axios.get(`${value.replace(/\/+$/, '')}/api/version`, { timeout: 5000 })
+			return response.data?.version ? null : 'Did not answer like Ollama (/api/version)'
+		}
+		if (key === 'OPENAI_BACKEND_URL') {
+			const headers = config.OPENAI_BACKEND_API_KEY ? { Authorization: `Bearer ${config.OPENAI_BACKEND_API_KEY}` } : {}
+			const response = await axios.get(`${value.replace(/\/+$/, '')}/v1/models`, { timeout: 5000, headers })
+			return Array.isArray(response.data?.data) ? null : 'Did not answer like an OpenAI-compatible server (/v1/models)'
+		}
+		if (key === 'WHISTANT_SERVER_URL') {
+			await axios.get(value, { timeout: 5000, validateStatus: () => true })
+			return null
+		}
+	} catch (error) {
+		return `Not reachable: ${error.code || error.message}`
+	}
+	return null
+}
+
+/**
+ * Validate and probe the given values ({ KEY: value }, '' means default)
+ * Returns { valid, errors: { KEY: message } }. URLs are only checked for their
+ * format with probe: false, and never probed when the environment overrides them.
+ * BACKEND_URLS entries are probed as servers of the BACKEND_TYPE being saved.
+ */
+async function testSettings(values, { probe = true } = {}) {
+	const errors = {}
+	// Value a key will have after saving
+	const effective = (key) => {
+		const value = key in values ? String(values[key]).trim() : ''
+		return value || (key in values ? config.getDefault(key) : config[key])
+	}
+
+	for (const setting of SETTINGS) {
+		if (!(setting.key in values)) continue
+		const value = String(values[setting.key]).trim()
+		const formatError = validateSetting(setting, value)
+		if (formatError) {
+			errors[setting.key] = formatError
+			continue
+		}
+		if (!probe || !value || config.getSource(setting.key) === 'env') continue
+		if (setting.type === 'url') {
+			const probeError = await probeSetting(setting.key, value)
+			if (probeError) errors[setting.key] = probeError
+		} else if (setting.type === 'urls') {
+			// Extra servers are of the BACKEND_TYPE being saved, probed like its URL
+			const probeKey = effective('BACKEND_TYPE') === 'openai' ? 'OPENAI_BACKEND_URL' : 'OLLAMA_SERVER_URL'
+			for (const url of value.split(',').map(part => part.trim()).filter(Boolean)) {
+				const probeError = await probeSetting(probeKey, url)
+				if (probeError) {
+					errors[setting.key] = `${url}: ${probeError}`
+					break
+				}
+			}
+		}
+	}
+
+	// The bind settings only make sense together (an interface policy needs an existing address)
+	if (!errors.OLLAMA_BIND && !errors.OLLAMA_BIND_ADDRESS && !errors.OLLAMA_PORT) {
+		try {
+			resolveOllamaBind({
+				policy: effective('OLLAMA_BIND'),
+				address: effective('OLLAMA_BIND_ADDRESS'),
+				port: Number(effective('OLLAMA_PORT')),
+			})
+		} catch (error) {
+			errors.OLLAMA_BIND_ADDRESS = error.message
+		}
+	}
+	return { valid: Object.keys(errors).length === 0, errors }
+}
+
+/**
+ * Write settings.json and reload the config
+ * Returns the keys whose effective value changed.
+ */
+function saveSettings(values) {
+	const userSettings = config.getUserSettings()
+	for (const setting of SETTINGS) {
+		if (!(setting.key in values)) continue
+		const value = String(values[setting.key]).trim()
+		if (value === '') {
+			delete userSettings[setting.key]
+		} else {
+			userSettings[setting.key] = value
+		}
+	}
+
+	const settingsPath = config.getSettingsPath()
+	fs.mkdirSync(path.dirname(settingsPath), { recursive: true })
+	fs.writeFileSync(settingsPath, JSON.stringify(userSettings, null, 2))
+
+	const before = { ...config }
+	config.reload()
+	return Object.keys(before).filter(key => JSON.stringify(before[key]) !== JSON.stringify(config[key]))
+}
+
+module.exports = {
+	SETTINGS,
+	getSettings,
+	validateSetting,
+	testSettings,
+	saveSettings,
+}
@@ -0,0 +1,427 @@
+/**
+ * Whistant Desktop App - System and GPU information
+ */
+
+const os = require('os')
+const { execSync } = require('child_process')
+const { detectDrmGpus } = require('./gpu-sysfs')
+const { createLogger } = require('./logger')
+
+const log = createLogger('system')
+
+// Name last: it is the only field that may contain a comma
+const NVIDIA_GPU_QUERY = 'index,uuid,driver_version,memory.total,name'
+
+/**
+ * Format a byte count the way the AMD and Mac paths report memory
+ */
+function formatGb(bytes) {
+	return `${(bytes / (1024 ** 3)).toFixed(2)} GB`
+}
+
+/**
+ * One label for all cards: "NVIDIA GeForce RTX 3090", "2x NVIDIA GeForce RTX 3090"
+ * or "NVIDIA GeForce RTX 4090 + NVIDIA GeForce RTX 3060"
+ */
+function summarizeGpuNames(gpus) {
+	const names = [...new Set(gpus.map(gpu => gpu.name))]
+	if (names.length === 1) {
+		return gpus.length > 1 ? `${gpus.length}x ${names[0]}` : names[0]
+	}
+	return gpus.map(gpu => gpu.name).join(' + ')
+}
+
+/**
+ * Parse `nvidia-smi --query-gpu=<NVIDIA_GPU_QUERY> --format=csv,noheader`
+ * One line per GPU, e.g.:
+ *   0, GPU-5f2c1e0a-..., 550.54.14, 24576 MiB, NVIDIA GeForce RTX 3090
+ */
+function parseNvidiaGpus(output) {
+	return output
+		.split('\n')
+		.map(line => line.trim())
+		.filter(Boolean)
+		.map(line => {
+			const [index, uuid, driver, memory, ...name] = line.split(',').map(s => s.trim())
+			const memoryMatch = memory ? memory.match(/(\d+)\s*MiB/) : null
+			return {
+				index: parseInt(index, 10),
+				uuid: uuid || null,
+				driver: driver || null,
+				name: name.join(', ') || 'NVIDIA GPU',
+				memory: memory || 'Not available',
+				memoryBytes: memoryMatch ? parseInt(memoryMatch[1], 10) * 1024 ** 2 : null,
+			}
+		})
+		.filter(gpu => Number.isInteger(gpu.index))
+}
+
+/**
+ * Get NVIDIA driver and CUDA version, and every NVIDIA GPU
+ * name and memory describe all cards together (e.g. "2x ..." and the summed VRAM).
+ */
+function getNvidiaInfo() {
+	try {
+		// Get GPU info, one line per card
+		const output = execSync(`nvidia-smi --query-gpu=${NVIDIA_GPU_QUERY} --format=csv,noheader`, {
+			encoding: 'utf-8',
+			timeout: 5000,
+		}).trim()
+		
+		const gpus = parseNvidiaGpus(output)
+		if (gpus.length === 0) {
+			throw new Error('nvidia-smi listed no GPUs')
+		}
+		const totalMiB = gpus.reduce((sum, gpu) => sum + (gpu.memoryBytes || 0), 0) / 1024 ** 2
+		
+		// Get CUDA version from nvidia-smi
+		let cudaVersion = 'Not available'
+		try {
+			const cudaOutput = execSync('nvidia-smi', {
+				encoding: 'utf-8',
+				timeout: 5000,
+			})
+			// Extract CUDA Version from the header line like "CUDA Version: 12.4"
+			const cudaMatch = cudaOutput.match(/CUDA Version:\s*(\d+\.\d+)/)
+			if (cudaMatch) {
+				cudaVersion = cudaMatch[1]
+			}
+		} catch (e) {
+			log.warn('⚠️  Could not determine CUDA version from nvidia-smi')
+		}
+		
+		return {
+			driver: gpus[0].driver || 'Not available',
+			cuda: cudaVersion,
+			name: summarizeGpuNames(gpus),
+			memory: totalMiB > 0 ? `${totalMiB} MiB` : 'Not available',
+			available: true,
+			gpus: gpus,
+		}
+	} catch (error) {
+		return {
+			driver: 'Not available',
+			cuda: 'Not available',
+			name: 'No NVIDIA GPU detected',
+			memory: 'N/A',
+			available: false,
+			gpus: [],
+		}
+	}
+}
+
+/**
+ * Parse `rocm-smi --showproductname --showmeminfo vram --showuniqueid --json`
+ * e.g. {"card0": {"Card series": "Radeon RX 7900 XTX", "VRAM Total Memory (B)": "25753026560",
+ *       "Unique ID": "0x7d2f1e8a3c4b5a69"}, "card1": {...}}
+ */
+function parseRocmGpus(output) {
+	const data = JSON.parse(output)
+	return Object.entries(data)
+		.filter(([key]) => /^card\d+$/.test(key))
+		.map(([key, card]) => {
+			const memoryBytes = parseInt(card['VRAM Total Memory (B)'], 10) || null
+			return {
+				index: parseInt(key.slice(4), 10),
+				uuid: card['Unique ID'] || null,
+				name: card['Card series'] || card['Card SKU'] || card['Card model'] || 'AMD GPU',
+				memory: memoryBytes ? formatGb(memoryBytes) : 'Not available',
+				memoryBytes: memoryBytes,
+			}
+		})
+		.sort((a, b) => a.index - b.index)
+}
+
+/**
+ * GPU entry from a name and byte count (sysfs / wmic / lspci)
+ */
+function gpuEntry(index, name, memoryBytes) {
+	return {
+		index: index,
+		uuid: null,
+		name: name,
+		memory: memoryBytes ? formatGb(memoryBytes) : 'Not available',
+		memoryBytes: memoryBytes || null,
+	}
+}
+
+/**
+ * Windows: video controllers whose name matches the pattern
+ */
+function listWmicGpus(pattern) {
+	const output = execSync('wmic path win32_VideoController get name,AdapterRAM /format:csv', {
+		encoding: 'utf-8',
+		timeout: 5000,
+	}).trim()
+	
+	const gpus = []
+	for (const line of output.split('\n').filter(line => line.trim())) {
+		const parts = line.split(',')
+		if (parts.length >= 3 && parts[2] && pattern.test(parts[2])) {
+			gpus.push(gpuEntry(gpus.length, parts[2].trim(), parseInt(parts[1]) || 0))
+		}
+	}
+	return gpus
+}
+
+/**
+ * Linux: discrete cards of one vendor from /sys/class/drm
+ * null when sysfs has no card of that vendor at all, not even integrated graphics
+ */
+function listSysfsGpus(vendor) {
+	const cards = detectDrmGpus().filter(gpu => gpu.vendor === vendor)
+	if (cards.length === 0) return null
+	return cards
+		.filter(gpu => gpu.discrete)
+		.map((gpu, index) => ({ ...gpuEntry(index, gpu.name, gpu.memoryBytes), pciSlot: gpu.pciSlot }))
+}
+
+/**
+ * Find every AMD GPU on this machine (empty when there is none)
+ */
+function listAmdGpus() {
+	const platform = os.platform()
+	
+	if (platform === 'win32') {
+		return listWmicGpus(/AMD|Radeon/)
+	}
+	
+	if (platform === 'linux') {
+		// sysfs needs no tools and has VRAM sizes (amdgpu); an APU alone is no GPU for models
+		const sysfsGpus = listSysfsGpus('amd')
+		if (sysfsGpus) return sysfsGpus
+		
+		// rocm-smi knows names, VRAM and unique IDs per card
+		try {
+			const rocmOutput = execSync('rocm-smi --showproductname --showmeminfo vram --showuniqueid --json', {
+				encoding: 'utf-8',
+				timeout: 5000,
+				stdio: ['ignore', 'pipe', 'ignore'],
+			})
+			const gpus = parseRocmGpus(rocmOutput)
+			if (gpus.length > 0) return gpus
+		} catch {}
+		
+		// Fall back to lspci (names only); dedicated cards may be listed as display/3D controllers
+		try {
+			const output = execSync('lspci | grep -iE "vga|3d|display"', {
+				encoding: 'utf-8',
+				timeout: 5000,
+				stdio: ['ignore', 'pipe', 'ignore'],
+			}).trim()
+			return output
+				.split('\n')
+				.filter(line => line.includes('AMD') || line.includes('Radeon'))
+				.map((line, index) => {
+					const match = line.match(/: (.+)/)
+					return gpuEntry(index, match ? match[1].trim() : 'AMD GPU detected', 0)
+				})
+		} catch {}
+	}
+	
+	return []
+}
+
+/**
+ * Find every discrete Intel Arc GPU (integrated graphics are not listed)
+ */
+function listIntelGpus() {
+	const platform = os.platform()
+	
+	if (platform === 'win32') {
+		return listWmicGpus(/Intel.*Arc/)
+	}
+	if (platform === 'linux') {
+		return listSysfsGpus('intel') || []
+	}
+	return []
+}
+
+/**
+ * Summarize a vendor's cards: name and memory describe all of them together
+ */
+function summarizeVendorGpus(gpus, vendorLabel) {
+	if (gpus.length === 0) {
+		return {
+			name: `No ${vendorLabel} GPU detected`,
+			memory: 'N/A',
+			available: false,
+			gpus: [],
+		}
+	}
+	
+	const totalBytes = gpus.reduce((sum, gpu) => sum + (gpu.memoryBytes || 0), 0)
+	return {
+		name: summarizeGpuNames(gpus),
+		memory: totalBytes > 0 ? formatGb(totalBytes) : 'Not available',
+		available: true,
+		gpus: gpus,
+	}
+}
+
+/**
+ * Get AMD GPU information
+ * name and memory describe all cards together, like getNvidiaInfo().
+ */
+function getAmdInfo() {
+	try {
+		return summarizeVendorGpus(listAmdGpus(), 'AMD')
+	} catch (error) {
+		return summarizeVendorGpus([], 'AMD')
+	}
+}
+
+/**
+ * Get Intel Arc GPU information
+ */
+function getIntelInfo() {
+	try {
+		return summarizeVendorGpus(listIntelGpus(), 'Intel Arc')
+	} catch (error) {
+		return summarizeVendorGpus([], 'Intel Arc')
+	}
+}
+
+/**
+ * Get Mac GPU information (Metal)
+ */
+function getMacInfo() {
+	try {
+		const platform = os.platform()
+		
+		if (platform === 'darwin') {
+			// macOS: Use system_profiler to query GPU
+			const output = execSync('system_profiler SPDisplaysDataType', {
+				encoding: 'utf-8',
+				timeout: 5000,
+			}).trim()
+			
+			// Parse for GPU name
+			const nameMatch = output.match(/Chipset Model:\s*(.+)/)
+			const name = nameMatch ? nameMatch[1].trim() : 'Mac GPU detected'
+			
+			// Parse for VRAM
+			let memory = 'Shared'
+			const vramMatch = output.match(/VRAM \(Total\):\s*(.+)/)
+			if (vramMatch) {
+				memory = vramMatch[1].trim()
+			} else {
+				// Check for unified memory on Apple Silicon
+				const memMatch = output.match(/Metal:\s*Supported/)
+				if (memMatch) {
+					memory = 'Unified Memory (Metal supported)'
+				}
+			}
+			
+			// Intel Macs report dedicated VRAM ("8 GB", "1536 MB"); Apple Silicon shares system memory
+			const vramSize = vramMatch ? memory.match(/(\d+)\s*(GB|MB)/) : null
+			const memoryBytes = vramSize ? parseInt(vramSize[1], 10) * 1024 ** (vramSize[2] === 'GB' ? 3 : 2) : null
+			
+			return {
+				name: name,
+				memory: memory,
+				available: true,
+				metal: true,
+				gpus: [{ index: 0, uuid: null, name: name, memory: memory, memoryBytes: memoryBytes }],
+			}
+		}
+		
+		return {
+			name: 'Not a Mac',
+			memory: 'N/A',
+			available: false,
+			metal: false,
+			gpus: [],
+		}
+	} catch (error) {
+		return {
+			name: 'No Mac GPU detected',
+			memory: 'N/A',
+			available: false,
+			metal: false,
+			gpus: [],
+		}
+	}
+}
+
+/**
+ * Collect all system information
+ */
+function collectSystemInfo() {
+	const hostname = os.hostname()
+	const cpuInfo = os.cpus()
+	const totalMemory = os.totalmem()
+	const nvidiaInfo = getNvidiaInfo()
+	const amdInfo = getAmdInfo()
+	const intelInfo = getIntelInfo()
+	const macInfo = getMacInfo()
+	const platform = os.platform()
+	const release = os.release()
+	const arch = os.arch()
+
+	const deviceId = hostname
+	const osInfo = {
+		platform: platform,
+		release: release,
+		arch: arch,
+		uptime: os.uptime(),
+	}
+
+	// Determine which GPU to use for hardware info
+	let gpuInfo = nvidiaInfo
+	let gpuType = 'nvidia'
+	
+	if (!nvidiaInfo.available && amdInfo.available) {
+		gpuInfo = amdInfo
+		gpuType = 'amd'
+	} else if (!nvidiaInfo.available && !amdInfo.available && intelInfo.available) {
+		gpuInfo = intelInfo
+		gpuType = 'intel'
+	} else if (!nvidiaInfo.available && !amdInfo.available && macInfo.available) {
+		gpuInfo = macInfo
+		gpuType = 'mac'
+	}
+
+	// Per-card VRAM; totalVram stays null when no card reports its size (e.g. unified memory)
+	const gpus = gpuInfo.gpus.map(gpu => ({
+		index: gpu.index,
+		name: gpu.name,
+		vram: gpu.memoryBytes ? formatGb(gpu.memoryBytes) : gpu.memory,
+		uuid: gpu.uuid,
+	}))
+	const totalVramBytes = gpuInfo.gpus.reduce((sum, gpu) => sum + (gpu.memoryBytes || 0), 0)
+
+	const hardware = {
+		cpu: `${cpuInfo.length}x ${cpuInfo[0].model}`,
+		gpu: `${gpuInfo.name} (${gpuInfo.memory})`,
+		memory: `${(totalMemory / (1024 ** 3)).toFixed(2)} GB`,
+		nvidiaDriver: nvidiaInfo.driver,
+		cudaVersion: nvidiaInfo.cuda,
+		gpuCount: gpus.length,
+		gpus: gpus,
+		totalVram: totalVramBytes > 0 ? formatGb(totalVramBytes) : null,
+	}
+
+	return {
+		deviceId,
+		osInfo,
+		hardware,
+		nvidiaInfo,
+		amdInfo,
+		intelInfo,
+		macInfo,
+		gpuType,
+	}
+}
+
+
+module.exports = {
+	summarizeGpuNames,
+	parseNvidiaGpus,
+	parseRocmGpus,
+	getNvidiaInfo,
+	getAmdInfo,
+	getIntelInfo,
+	getMacInfo,
+	collectSystemInfo,
+}
@@ -0,0 +1,195 @@
+/**
+ * Whistant Desktop App - End-to-end tunnel health checks
+ * Requests the backend's probe path (/api/version, or /v1/models for an
+ * OpenAI-compatible backend) through the public tunnel URL (so through Cloudflare,
+ * the tunnel and the auth proxy) on a short interval, records latency and
+ * failures, and restarts the tunnel with exponential backoff when it keeps failing.
+ */
+
+const axios = require('axios')
+const { PROXY_HEADER, signProxyToken } = require('./proxy')
+const { createLogger } = require('./logger')
+
+const log = createLogger('tunnel-health')
+
+// Client id of the probe's token; its requests are kept out of the audit log
+const HEALTH_CHECK_CLIENT = 'tunnel-health'
+
+// Probes kept for the status tooltip / diagnostics
+const HISTORY_SIZE = 20
+
+/**
+ * Probe a public URL once
+ * Resolves with { ok, latencyMs, status, error }. Any response from the auth
+ * proxy proves the tunnel reaches it, including its 401 before the server is
+ * linked and the 403 / 429 of the route policy and rate limit: restarting the
+ * tunnel would not change those.
+ */
+async function probeTunnel(url, secret, timeoutMs, probePath = '/api/version') {
+	const headers = {}
+	if (secret) {
+		headers.Authorization = `Bearer ${signProxyToken(secret, HEALTH_CHECK_CLIENT)}`
+	}
+
+	const started = Date.now()
+	try {
+		const response = await axios.get(`${url}${probePath}`, {
+			headers,
+			timeout: timeoutMs,
+			validateStatus: () => true,
+		})
+		const latencyMs = Date.now() - started
+
+		if (response.headers[PROXY_HEADER.toLowerCase()]) {
+			return { ok: true, latencyMs, status: response.status, error: null }
+		}
+		return { ok: false, latencyMs, status: response.status, error: `HTTP ${response.status}` }
+	} catch (e) {
+		return { ok: false, latencyMs: Date.now() - started, status: null, error: e.code || e.message }
+	}
+}
+
+/**
+ * Create a health monitor for the public tunnel
+ * getUrl() returns the current public URL, getSecret() the proxy secret,
+ * getProbePath() the path to request, restart() restarts the tunnel,
+ * onStatus(status) is called after every probe.
+ */
+function createTunnelHealthMonitor({
+	getUrl,
+	getSecret,
+	getProbePath = () => '/api/version',
+	restart,
+	onStatus = () => {},
+	intervalMs = 60000,
+	timeoutMs = 10000,
+	failureThreshold = 3,
+	backoffBaseMs = 30000,
+	backoffMaxMs = 15 * 60 * 1000,
+}) {
+	const status = {
+		state: 'unknown',  // unknown | ok | failing | restarting
+		url: null,
+		lastCheck: null,
+		latencyMs: null,
+		lastError: null,
+		consecutiveFailures: 0,
+		restartAttempts: 0,  // Restarts since the tunnel was last reachable
+		nextRestartAt: null,
+		history: [],
+	}
+	let timer = null
+	let running = false
+	let checking = false
+
+	function snapshot() {
+		return { ...status, history: status.history.slice() }
+	}
+
+	/**
+	 * Restart the tunnel unless the backoff window is still open
+	 */
+	async function maybeRestart() {
+		if (status.nextRestartAt && Date.now() < status.nextRestartAt) {
+			return
+		}
+
+		status.state = 'restarting'
+		status.restartAttempts++
+		const delay = Math.min(backoffBaseMs * 2 ** (status.restartAttempts - 1), backoffMaxMs)
+		status.nextRestartAt = Date.now() + delay
+		onStatus(snapshot())
+
+		log.warn(`🔄 Tunnel unreachable ${status.consecutiveFailures} times in a row, restarting (attempt ${status.restartAttempts}, next no sooner than ${Math.round(delay / 1000)}s)`)
+		try {
+			await restart()
+		} catch (e) {
+			log.error('❌ Tunnel restart failed', { error: e.message })
+		}
+		status.state = 'failing'
+	}
+
+	/**
+	 * Probe the tunnel now and act on the result
+	 */
+	async function checkNow() {
+		if (checking) return snapshot()
+		checking = true
+		try {
+			const url = await getUrl()
+			const result = url
+				? await probeTunnel(url, getSecret(), timeoutMs, getProbePath())
+				: { ok: false, latencyMs: null, status: null, error: 'No tunnel URL' }
+
+			status.url = url || null
+			status.lastCheck = new Date().toISOString()
+			status.latencyMs = result.latencyMs
+			status.lastError = result.error
+			status.history.push({ timestamp: status.lastCheck, ok: result.ok, latencyMs: result.latencyMs, error: result.error })
+			if (status.history.length > HISTORY_SIZE) {
+				status.history.shift()
+			}
+
+			if (result.ok) {
+				if (status.consecutiveFailures > 0) {
+					log.info(`✅ Tunnel reachable again after ${status.consecutiveFailures} failed checks (${result.latencyMs} ms)`)
+				}
+				status.state = 'ok'
+				status.consecutiveFailures = 0
+				status.restartAttempts = 0
+				status.nextRestartAt = null
+			} else {
+				status.state = 'failing'
+				status.consecutiveFailures++
+				log.warn(`⚠️  Tunnel health check failed (${status.consecutiveFailures}/${failureThreshold}): ${result.error}`)
+				if (status.consecutiveFailures >= failureThreshold) {
+					await maybeRestart()
+				}
+			}
+
+			onStatus(snapshot())
+			return snapshot()
+		} finally {
+			checking = false
+		}
+	}
+
+	function scheduleNext() {
+		if (!running) return
+		timer = setTimeout(async () => {
+			await checkNow().catch(e => log.error('Tunnel health check error', { error: e.message }))
+			scheduleNext()
+		}, intervalMs)
+	}
+
+	/**
+	 * Start probing every intervalMs
+	 */
+	function start() {
+		if (running) return
+		running = true
+		log.info(`🩺 Tunnel health checks every ${Math.round(intervalMs / 1000)}s (restart after ${failureThreshold} failures)`)
+		scheduleNext()
+	}
+
+	function stop() {
+		running = false
+		if (timer) {
+			clearTimeout(timer)
+			timer = null
+		}
+	}
+
+	return {
+		start,
+		stop,
+		checkNow,
+		getStatus: snapshot,
+	}
+}
+
+module.exports = {
+	HEALTH_CHECK_CLIENT,
+	probeTunnel,
+	createTunnelHealthMonitor,
+}
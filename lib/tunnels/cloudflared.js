@@ -0,0 +1,306 @@
+/**
+ * Whistant Desktop App - cloudflared tunnel provider
+ * Quick tunnel (random trycloudflare.com URL) by default, or a named tunnel
+ * with a fixed hostname when TUNNEL_TOKEN / TUNNEL_CREDENTIALS_FILE is set.
+ */
+
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const { execSync } = require('child_process')
+const { spawnTunnelProcess, killTunnelProcess, urlDetectorFromRegex } = require('./process')
+const { createLogger } = require('../logger')
+
+const log = createLogger('tunnel')
+
+const QUICK_TUNNEL_URL_REGEX = /(https:\/\/[a-z0-9\-]+\.trycloudflare\.com)/
+
+/**
+ * Named tunnel settings from config, or null to use a quick tunnel
+ * Returns { hostname, url, token, credentialsFile, name } or { error }
+ */
+function getNamedTunnelConfig(cfg) {
+	const token = String(cfg.TUNNEL_TOKEN || '').trim()
+	const credentialsFile = String(cfg.TUNNEL_CREDENTIALS_FILE || '').trim()
+	const name = String(cfg.TUNNEL_NAME || '').trim()
+	const hostname = String(cfg.TUNNEL_HOSTNAME || '').trim()
+		.replace(/^https?:\/\//i, '')
+		.replace(/\/+$/, '')
+		.toLowerCase()
+
+	if (!token && !credentialsFile) {
+		return null
+	}
+	if (!hostname) {
+		return { error: 'TUNNEL_HOSTNAME is required for a named tunnel' }
+	}
+	if (!token && !name) {
+		return { error: 'TUNNEL_CREDENTIALS_FILE needs TUNNEL_NAME (tunnel name or UUID)' }
+	}
+	return { hostname, url: `https://${hostname}`, token, credentialsFile, name }
+}
+
+/**
+ * Build `cloudflared tunnel run` arguments for a named tunnel
+ * The token is passed through the TUNNEL_TOKEN env var so it stays out of `ps`
+ */
+function buildNamedTunnelArgs(named, originUrl) {
+	const args = ['tunnel', '--no-autoupdate', 'run', '--url', originUrl]
+	if (!named.token && named.credentialsFile) {
+		args.push('--credentials-file', named.credentialsFile)
+	}
+	if (named.name) {
+		args.push(named.name)
+	}
+	return args
+}
+
+/**
+ * Get cloudflared executable path
+ * Checks bundled binary first, then falls back to system installation
+ */
+function getCloudflaredPath() {
+	const platform = os.platform()
+	const arch = os.arch()
+	
+	// Determine platform-specific directory name
+	let platformDir = null
+	if (platform === 'darwin') {
+		platformDir = arch === 'arm64' ? 'darwin-arm64' : 'darwin-x64'
+	} else if (platform === 'linux') {
+		platformDir = 'linux-x64'
+	} else if (platform === 'win32') {
+		platformDir = 'win32-x64'
+	}
+	
+	if (platformDir) {
+		// Check for bundled binary in development or production
+		const exeName = platform === 'win32' ? 'cloudflared.exe' : 'cloudflared'
+		// Plain Node (CLI) has no resourcesPath; the project root plays that role
+		const resourcesPath = process.resourcesPath || path.join(__dirname, '..', '..')
+		
+		// Try production path FIRST (inside app.asar.unpacked) - most common for packaged apps
+		const prodPath = path.join(resourcesPath, 'app.asar.unpacked', 'bin', platformDir, exeName)
+		if (fs.existsSync(prodPath)) {
+			log.info(`✅ Using bundled cloudflared from production path: ${prodPath}`)
+			return prodPath
+		}
+		
+		// Try development path (only works when running with npm start)
+		// Use __dirname.replace to get unpacked path if we're inside asar
+		let devPath = path.join(__dirname, '..', '..', 'bin', platformDir, exeName)
+		// If __dirname contains app.asar, try the unpacked version
+		if (__dirname.includes('app.asar') && !__dirname.includes('app.asar.unpacked')) {
+			devPath = devPath.replace('app.asar', 'app.asar.unpacked')
+		}
+		if (fs.existsSync(devPath)) {
+			log.info(`✅ Using bundled cloudflared from development path: ${devPath}`)
+			return devPath
+		}
+		
+		// Try another production path (not packed in asar - for Linux AppImage)
+		const prodPath2 = path.join(resourcesPath, 'bin', platformDir, exeName)
+		if (fs.existsSync(prodPath2)) {
+			log.info(`✅ Using bundled cloudflared from production path: ${prodPath2}`)
+			return prodPath2
+		}
+		
+		// For macOS app bundle: Try app/bin path
+		if (platform === 'darwin') {
+			const macPath = path.join(resourcesPath, 'app', 'bin', platformDir, exeName)
+			if (fs.existsSync(macPath)) {
+				log.info(`✅ Using bundled cloudflared from macOS app path: ${macPath}`)
+				return macPath
+			}
+		}
+		
+		// Log all paths tried for debugging
+		log.debug('Tried cloudflared paths:')
+		log.debug(`   - Dev: ${devPath}`)
+		log.debug(`   - Prod (asar.unpacked): ${prodPath}`)
+		log.debug(`   - Prod (resources): ${prodPath2}`)
+		if (platform === 'darwin') {
+			log.debug(`   - macOS app: ${path.join(resourcesPath, 'app', 'bin', platformDir, exeName)}`)
+		}
+		log.debug(`   process.resourcesPath: ${resourcesPath}`)
+		log.debug(`   __dirname: ${__dirname}`)
+	}
+	
+	// Fall back to system installation
+	log.info('ℹ️  Bundled cloudflared not found, checking system installation...')
+	return 'cloudflared' // Will use system PATH
+}
+
+/**
+ * Make sure the cloudflared binary is executable and runs
+ */
+function ensureCloudflared(cloudflaredPath) {
+	// For bundled binaries, ensure executable permissions (Unix-like systems)
+	if (fs.existsSync(cloudflaredPath) && cloudflaredPath !== 'cloudflared') {
+		try {
+			const stats = fs.statSync(cloudflaredPath)
+			// Check if file is not executable, then make it executable
+			if (os.platform() !== 'win32' && !(stats.mode & fs.constants.S_IXUSR)) {
+				log.info('🔧 Setting executable permissions on cloudflared binary...')
+				fs.chmodSync(cloudflaredPath, 0o755)
+			}
+		} catch (permError) {
+			log.warn('⚠️  Could not set executable permissions', { error: permError.message })
+		}
+	}
+	
+	// Check if cloudflared is available
+	try {
+		execSync(`"${cloudflaredPath}" --version`, { 
+			encoding: 'utf-8',
+			stdio: 'pipe',
+		})
+		log.info(`✅ cloudflared is available: ${cloudflaredPath}`)
+		return true
+	} catch (e) {
+		const isWindows = os.platform() === 'win32'
+		const installCmd = isWindows ? 'winget install --id Cloudflare.cloudflared' : 
+		                    os.platform() === 'darwin' ? 'brew install cloudflared' : 
+		                    'sudo apt install cloudflared'
+		log.error(`❌ cloudflared not found. Install with: ${installCmd}`)
+		log.error('   Or download binaries manually - see bin/README.md')
+		return false
+	}
+}
+
+/**
+ * cloudflared provider
+ * options: { originUrl, token, credentialsFile, name, hostname } (TUNNEL_* settings)
+ */
+function createCloudflaredProvider(options) {
+	const { originUrl } = options
+	let child = null
+	let url = null  // URL of the tunnel we started (set once it is connected)
+
+	// Named tunnel when configured, otherwise a quick tunnel
+	const named = getNamedTunnelConfig({
+		TUNNEL_TOKEN: options.token,
+		TUNNEL_CREDENTIALS_FILE: options.credentialsFile,
+		TUNNEL_NAME: options.name,
+		TUNNEL_HOSTNAME: options.hostname,
+	})
+	if (named?.error) {
+		log.warn(`⚠️  ${named.error}, falling back to a quick tunnel`)
+	}
+	const namedTunnel = named && !named.error ? named : null
+
+	/**
+	 * Start cloudflared to the auth proxy; resolves with the URL or null
+	 */
+	async function start() {
+		try {
+			const cloudflaredPath = getCloudflaredPath()
+			if (!ensureCloudflared(cloudflaredPath)) {
+				return null
+			}
+
+			let args
+			let detectUrl
+			const env = { ...process.env }
+			if (namedTunnel) {
+				log.info(`📡 Starting named cloudflared tunnel for ${namedTunnel.hostname}...`)
+				// cloudflared tunnel run --url http://127.0.0.1:11435 <name>
+				args = buildNamedTunnelArgs(namedTunnel, originUrl)
+				if (namedTunnel.token) {
+					env.TUNNEL_TOKEN = namedTunnel.token
+				}
+				// Hostname is fixed; wait until the tunnel reaches Cloudflare's edge
+				detectUrl = (output) => output.includes('Registered tunnel connection') ? namedTunnel.url : null
+			} else {
+				log.info('📡 Starting cloudflared tunnel in background...')
+				// cloudflared tunnel --url http://127.0.0.1:11435 (auth proxy in front of Ollama)
+				args = ['tunnel', '--url', originUrl]
+				// A stray token in the environment must not turn this into a named tunnel
+				delete env.TUNNEL_TOKEN
+				detectUrl = urlDetectorFromRegex(QUICK_TUNNEL_URL_REGEX)
+			}
+
+			url = null
+			const tunnel = spawnTunnelProcess({
+				label: 'cloudflared',
+				command: cloudflaredPath,
+				args,
+				env,
+				detectUrl,
+				onUrl: (found) => {
+					if (child === tunnel.child) url = found
+				},
+				onExit: () => {
+					if (child === tunnel.child) {
+						child = null
+						url = null
+					}
+				},
+			})
+			child = tunnel.child
+
+			// Wait for URL to be detected (up to 15 seconds)
+			const tunnelUrl = await tunnel.waitForUrl(15000)
+			if (tunnelUrl) {
+				log.info(`🎉 Tunnel established: ${tunnelUrl}`)
+				return tunnelUrl
+			}
+			log.warn('⚠️  Cloudflared started but URL not detected after 15 seconds')
+			log.warn('   The tunnel may still be connecting...')
+			return null
+		} catch (error) {
+			log.error('Cloudflared startup error', { error: error.message })
+			return null
+		}
+	}
+
+	/**
+	 * Stop the cloudflared process if we started it
+	 */
+	function stop() {
+		if (child) {
+			try {
+				log.info('🛑 Stopping cloudflared tunnel...')
+				killTunnelProcess(child)
+			} catch (e) {
+				log.error('Error stopping cloudflared', { error: e.message })
+			}
+			child = null
+		}
+		url = null
+	}
+
+	/**
+	 * Current public URL of the tunnel we started, null while it is not running
+	 * A quick tunnel started elsewhere (found on cloudflared's metrics port) is
+	 * never adopted, since it may point straight at the backend.
+	 */
+	async function getUrl() {
+		return child && url ? url : null
+	}
+
+	/**
+	 * Healthy while our cloudflared process runs and has a URL
+	 */
+	async function isHealthy() {
+		return Boolean(child && url)
+	}
+
+	return {
+		name: namedTunnel ? 'cloudflared (named)' : 'cloudflared',
+		start,
+		stop,
+		getUrl,
+		isHealthy,
+		manualHint: namedTunnel
+			? `cloudflared tunnel run --url ${originUrl} ${namedTunnel.name || '--token <TUNNEL_TOKEN>'}`
+			: `cloudflared tunnel --url ${originUrl}`,
+	}
+}
+
+module.exports = {
+	createCloudflaredProvider,
+	getNamedTunnelConfig,
+	buildNamedTunnelArgs,
+	getCloudflaredPath,
+}
@@ -0,0 +1,111 @@
+/**
+ * Whistant Desktop App - Custom command tunnel provider
+ * Runs any tunnel program (frp, ngrok, bore, ...) from TUNNEL_COMMAND and takes
+ * the public URL from its output with TUNNEL_URL_REGEX. The command gets
+ * PROXY_URL, PROXY_HOST and PROXY_PORT in its environment.
+ */
+
+const { spawnTunnelProcess, killTunnelProcess, urlDetectorFromRegex } = require('./process')
+const { createLogger } = require('../logger')
+
+const log = createLogger('tunnel')
+
+// Any http(s) URL that is not the local proxy itself
+const DEFAULT_URL_REGEX = '(https?://(?!127\\.0\\.0\\.1|localhost)[^\\s"\'<>]+)'
+
+/**
+ * Custom command provider
+ * options: { originUrl, command, urlRegex, publicUrl }
+ */
+function createCustomProvider(options) {
+	const { originUrl, command, publicUrl } = options
+	const urlRegex = options.urlRegex || DEFAULT_URL_REGEX
+	let child = null
+	let url = null
+
+	async function start() {
+		if (!command) {
+			log.error('❌ TUNNEL_COMMAND is not set for the custom tunnel provider')
+			return null
+		}
+
+		let detectUrl
+		try {
+			detectUrl = urlDetectorFromRegex(urlRegex)
+		} catch (e) {
+			log.error(`❌ Invalid TUNNEL_URL_REGEX: ${e.message}`)
+			return null
+		}
+		// A fixed URL is used as-is once the command prints anything matching the regex
+		if (publicUrl) {
+			const matches = detectUrl
+			detectUrl = (output) => matches(output) ? publicUrl.replace(/\/+$/, '') : null
+		}
+
+		const origin = new URL(originUrl)
+		log.info(`📡 Starting custom tunnel: ${command}`)
+
+		url = null
+		const tunnel = spawnTunnelProcess({
+			label: 'tunnel',
+			command,
+			shell: true,
+			env: {
+				...process.env,
+				PROXY_URL: originUrl,
+				PROXY_HOST: origin.hostname,
+				PROXY_PORT: origin.port,
+			},
+			detectUrl,
+			onUrl: (found) => {
+				if (child === tunnel.child) url = found
+			},
+			onExit: () => {
+				if (child === tunnel.child) {
+					child = null
+					url = null
+				}
+			},
+		})
+		child = tunnel.child
+
+		const tunnelUrl = await tunnel.waitForUrl(30000)
+		if (tunnelUrl) {
+			log.info(`🎉 Tunnel established: ${tunnelUrl}`)
+			return tunnelUrl
+		}
+		log.warn('⚠️  Custom tunnel URL not detected after 30 seconds (check TUNNEL_URL_REGEX)')
+		return null
+	}
+
+	function stop() {
+		if (child) {
+			log.info('🛑 Stopping custom tunnel...')
+			killTunnelProcess(child)
+			child = null
+		}
+		url = null
+	}
+
+	async function getUrl() {
+		return child ? url : null
+	}
+
+	async function isHealthy() {
+		return Boolean(child && url)
+	}
+
+	return {
+		name: 'custom',
+		start,
+		stop,
+		getUrl,
+		isHealthy,
+		manualHint: command || 'set TUNNEL_COMMAND',
+	}
+}
+
+module.exports = {
+	createCustomProvider,
+	DEFAULT_URL_REGEX,
+}
@@ -0,0 +1,162 @@
+/**
+ * Whistant Desktop App - Tunnel providers
+ * Every provider exposes the same interface:
+ *   name                  provider label for logs and the UI
+ *   start()               start the tunnel, resolves with the public URL or null
+ *   stop()                stop whatever start() launched
+ *   getUrl()              resolves with the public URL of the tunnel this process
+ *                         started, or null (other processes must read the registration)
+ *   isHealthy()           resolves true while the tunnel process is up with a URL
+ *   manualHint            command to run by hand when the tunnel cannot start
+ * TUNNEL_PROVIDER picks one: cloudflared (default), ssh or custom.
+ */
+
+const config = require('../config')
+const { createCloudflaredProvider } = require('./cloudflared')
+const { createSshProvider } = require('./ssh')
+const { createCustomProvider } = require('./custom')
+const { createLogger } = require('../logger')
+
+const log = createLogger('tunnel')
+
+const TUNNEL_PROVIDERS = ['cloudflared', 'ssh', 'custom']
+
+let provider = null
+let detectedTunnelUrl = null  // Store the detected tunnel URL
+
+/**
+ * Create the provider selected by cfg.TUNNEL_PROVIDER, pointed at the auth proxy
+ */
+function createTunnelProvider(cfg = config) {
+	const originUrl = cfg.PROXY_URL
+	const name = String(cfg.TUNNEL_PROVIDER || 'cloudflared').trim().toLowerCase()
+
+	switch (name) {
+		case 'ssh':
+			return createSshProvider({
+				originUrl,
+				host: cfg.TUNNEL_SSH_HOST,
+				port: cfg.TUNNEL_SSH_PORT,
+				remotePort: cfg.TUNNEL_SSH_REMOTE_PORT,
+				identityFile: cfg.TUNNEL_SSH_KEY,
+				publicUrl: cfg.TUNNEL_PUBLIC_URL,
+				urlRegex: cfg.TUNNEL_URL_REGEX,
+			})
+		case 'custom':
+			return createCustomProvider({
+				originUrl,
+				command: cfg.TUNNEL_COMMAND,
+				urlRegex: cfg.TUNNEL_URL_REGEX,
+				publicUrl: cfg.TUNNEL_PUBLIC_URL,
+			})
+		default:
+			if (name !== 'cloudflared') {
+				log.warn(`⚠️  Unknown TUNNEL_PROVIDER "${name}" (expected ${TUNNEL_PROVIDERS.join(', ')}), using cloudflared`)
+			}
+			return createCloudflaredProvider({
+				originUrl,
+				token: cfg.TUNNEL_TOKEN,
+				credentialsFile: cfg.TUNNEL_CREDENTIALS_FILE,
+				name: cfg.TUNNEL_NAME,
+				hostname: cfg.TUNNEL_HOSTNAME,
+			})
+	}
+}
+
+/**
+ * The configured provider (created on first use)
+ */
+function getTunnelProvider() {
+	if (!provider) {
+		provider = createTunnelProvider()
+	}
+	return provider
+}
+
+/**
+ * Start the configured tunnel to the auth proxy
+ */
+async function startTunnelProvider() {
+	const tunnelUrl = await getTunnelProvider().start()
+	if (tunnelUrl) {
+		detectedTunnelUrl = tunnelUrl  // Store globally
+	}
+	return tunnelUrl
+}
+
+/**
+ * Stop the tunnel if we started it
+ */
+function stopTunnelProvider() {
+	if (provider) {
+		provider.stop()
+	}
+}
+
+/**
+ * Stop the tunnel and drop the provider, so the next start is built from the current config
+ */
+function resetTunnelProvider() {
+	stopTunnelProvider()
+	provider = null
+	detectedTunnelUrl = null
+}
+
+/**
+ * Check if a tunnel is running, with a hint to start one by hand if not
+ */
+async function checkTunnel() {
+	try {
+		const url = await getTunnelProvider().getUrl()
+		if (url) {
+			log.info(`📡 Active ${getTunnelProvider().name} tunnel detected: ${url}`)
+			return url
+		}
+	} catch (e) {
+		log.warn('⚠️  Error checking tunnel', { error: e.message })
+	}
+
+	log.warn('⚠️  No active tunnel detected')
+	log.warn('📋 To create a tunnel, open a terminal and run:')
+	log.warn(`   ${getTunnelProvider().manualHint}`)
+	return null
+}
+
+/**
+ * Whether the tunnel process is up (end-to-end reachability is not checked)
+ */
+async function isTunnelHealthy() {
+	return provider ? provider.isHealthy() : false
+}
+
+/**
+ * Get the cached tunnel URL (null until a tunnel has been detected)
+ */
+function getDetectedTunnelUrl() {
+	return detectedTunnelUrl
+}
+
+/**
+ * Ask the provider for the current URL and update the cache when found
+ * Only meaningful in the process that started the tunnel (the app or `cli.js run`).
+ */
+async function refreshTunnelUrl() {
+	const url = await getTunnelProvider().getUrl()
+	if (url) {
+		detectedTunnelUrl = url
+	}
+	return url
+}
+
+module.exports = {
+	TUNNEL_PROVIDERS,
+	createTunnelProvider,
+	getTunnelProvider,
+	startTunnelProvider,
+	stopTunnelProvider,
+	resetTunnelProvider,
+	checkTunnel,
+	isTunnelHealthy,
+	getDetectedTunnelUrl,
+	refreshTunnelUrl,
+}
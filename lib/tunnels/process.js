@@ -0,0 +1,135 @@
+/**
+ * Whistant Desktop App - Child process helper shared by tunnel providers
+ * Spawns the tunnel program, echoes its output and watches it for the public URL.
+ */
+
+const os = require('os')
+const { spawn, execSync } = require('child_process')
+const { getLog } = require('../logs')
+const { createLogger, printToTerminal } = require('../logger')
+
+const log = createLogger('tunnel')
+
+const groupLeaders = new WeakSet()  // Children spawned in their own process group
+
+/**
+ * Spawn a tunnel process
+ * detectUrl(output) returns the public URL once it shows up in stdout/stderr.
+ * Returns { child, waitForUrl(timeoutMs) } where waitForUrl resolves with the
+ * URL, or null if the process exits or nothing is found in time. onUrl still
+ * fires when the URL shows up after the wait gave up.
+ */
+function spawnTunnelProcess({ label, command, args = [], env = process.env, shell = false, detectUrl, onUrl = () => {}, onExit = () => {} }) {
+	// Own process group so a shell command can be stopped with its children
+	const detached = shell && os.platform() !== 'win32'
+	const child = spawn(command, args, {
+		detached,
+		stdio: ['ignore', 'pipe', 'pipe'],
+		windowsHide: true,
+		shell,
+		env,
+	})
+	if (detached) {
+		groupLeaders.add(child)
+	}
+
+	const tunnelLog = getLog('tunnel')
+	let url = null
+	let exited = false
+	const waiters = []
+
+	const settle = (value) => {
+		while (waiters.length) {
+			waiters.shift()(value)
+		}
+	}
+
+	// Tunnel programs log to both stdout and stderr
+	const onOutput = (stream) => (data) => {
+		const output = data.toString()
+		// Echoed, but only written to tunnel.log
+		printToTerminal(`[${label} ${stream}]`, output)
+		const time = new Date().toISOString()
+		output.split('\n').filter(line => line.trim()).forEach(line => tunnelLog.append(`${time} [${label}] ${line}`))
+		if (url) return
+
+		const found = detectUrl(output)
+		if (found) {
+			url = found
+			log.info(`✅ ${label} URL detected: ${url}`)
+			onUrl(url)
+			settle(url)
+		}
+	}
+	child.stdout.on('data', onOutput('stdout'))
+	child.stderr.on('data', onOutput('stderr'))
+
+	child.on('error', (err) => {
+		log.error(`Failed to start ${label}`, { error: err.message })
+	})
+
+	child.on('close', (code) => {
+		log.info(`${label} exited with code: ${code}`)
+		exited = true
+		onExit(code)
+		settle(null)
+	})
+
+	function waitForUrl(timeoutMs) {
+		if (url || exited) {
+			return Promise.resolve(url)
+		}
+		return new Promise(resolve => {
+			const timer = setTimeout(() => {
+				const index = waiters.indexOf(done)
+				if (index !== -1) waiters.splice(index, 1)
+				resolve(null)
+			}, timeoutMs)
+			function done(value) {
+				clearTimeout(timer)
+				resolve(value)
+			}
+			waiters.push(done)
+		})
+	}
+
+	return { child, waitForUrl }
+}
+
+/**
+ * Stop a tunnel process, including children of a shell command
+ */
+function killTunnelProcess(child) {
+	if (!child || child.exitCode !== null || child.signalCode !== null) return
+	if (os.platform() === 'win32' && child.pid) {
+		try {
+			execSync(`taskkill /pid ${child.pid} /T /F`, { stdio: 'ignore' })
+			return
+		} catch (e) {}
+	} else if (groupLeaders.has(child)) {
+		try {
+			// Negative pid signals the whole process group
+			process.kill(-child.pid, 'SIGTERM')
+			return
+		} catch (e) {}
+	}
+	child.kill()
+}
+
+/**
+ * Build a URL detector from a regex string (first capture group, or the whole match)
+ */
+function urlDetectorFromRegex(pattern) {
+	const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern)
+	return (output) => {
+		const match = output.match(regex)
+		if (!match) return null
+		return (match[1] || match[0]).replace(/\/+$/, '')
+	}
+}
+
+module.exports = {
+	spawnTunnelProcess,
+	killTunnelProcess,
+	urlDetectorFromRegex,
+}
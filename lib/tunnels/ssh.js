@@ -0,0 +1,131 @@
+/**
+ * Whistant Desktop App - SSH reverse tunnel provider (`ssh -R`)
+ * Forwards a port on your own server (or a service like localhost.run) back
+ * to the auth proxy. The public URL is TUNNEL_PUBLIC_URL, or found in ssh's
+ * output with TUNNEL_URL_REGEX for services that print one.
+ */
+
+const { spawnTunnelProcess, killTunnelProcess, urlDetectorFromRegex } = require('./process')
+const { createLogger } = require('../logger')
+
+const log = createLogger('tunnel')
+
+// ssh -N prints nothing once the forward is up; no exit within this time means it is up
+const SETTLE_MS = 5000
+
+/**
+ * Build the ssh arguments for a reverse tunnel to originUrl
+ */
+function buildSshArgs({ host, port, remotePort, identityFile }, originUrl) {
+	const origin = new URL(originUrl)
+	const args = [
+		'-N',
+		'-o', 'ExitOnForwardFailure=yes',
+		'-o', 'ServerAliveInterval=30',
+		'-o', 'ServerAliveCountMax=3',
+		// Never hang on a password or host key prompt
+		'-o', 'BatchMode=yes',
+		'-R', `${remotePort}:${origin.hostname}:${origin.port}`,
+	]
+	if (port) {
+		args.push('-p', String(port))
+	}
+	if (identityFile) {
+		args.push('-i', identityFile)
+	}
+	args.push(host)
+	return args
+}
+
+/**
+ * SSH reverse tunnel provider
+ * options: { originUrl, host, port, remotePort, identityFile, publicUrl, urlRegex }
+ */
+function createSshProvider(options) {
+	const { originUrl, host, publicUrl, urlRegex } = options
+	const remotePort = options.remotePort || 80
+	let child = null
+	let url = null
+
+	async function start() {
+		if (!host) {
+			log.error('❌ TUNNEL_SSH_HOST is not set (e.g. user@tunnel.example.com)')
+			return null
+		}
+		if (!publicUrl && !urlRegex) {
+			log.error('❌ Set TUNNEL_PUBLIC_URL (or TUNNEL_URL_REGEX) so the SSH tunnel has a public URL')
+			return null
+		}
+
+		const args = buildSshArgs({ ...options, remotePort }, originUrl)
+		log.info(`📡 Starting SSH reverse tunnel: ssh ${args.join(' ')}`)
+
+		url = null
+		const tunnel = spawnTunnelProcess({
+			label: 'ssh',
+			command: 'ssh',
+			args,
+			detectUrl: urlRegex ? urlDetectorFromRegex(urlRegex) : () => null,
+			onUrl: (found) => {
+				if (child === tunnel.child) url = found
+			},
+			onExit: () => {
+				if (child === tunnel.child) {
+					child = null
+					url = null
+				}
+			},
+		})
+		child = tunnel.child
+
+		let tunnelUrl
+		if (urlRegex) {
+			tunnelUrl = await tunnel.waitForUrl(15000)
+		} else {
+			// Nothing to detect; the forward is up if ssh is still running after it settles
+			await tunnel.waitForUrl(SETTLE_MS)
+			tunnelUrl = child === tunnel.child ? publicUrl.replace(/\/+$/, '') : null
+			url = tunnelUrl
+		}
+
+		if (tunnelUrl) {
+			log.info(`🎉 Tunnel established: ${tunnelUrl}`)
+			return tunnelUrl
+		}
+		log.warn('⚠️  SSH tunnel did not come up (check the ssh output above)')
+		return null
+	}
+
+	function stop() {
+		if (child) {
+			log.info('🛑 Stopping SSH tunnel...')
+			killTunnelProcess(child)
+			child = null
+		}
+		url = null
+	}
+
+	async function getUrl() {
+		return child ? url : null
+	}
+
+	async function isHealthy() {
+		return Boolean(child && url)
+	}
+
+	return {
+		name: 'ssh',
+		start,
+		stop,
+		getUrl,
+		isHealthy,
+		manualHint: host
+			? `ssh ${buildSshArgs({ ...options, remotePort }, originUrl).join(' ')}`
+			: 'ssh -N -R <remote port>:127.0.0.1:<proxy port> user@host',
+	}
+}
+
+module.exports = {
+	createSshProvider,
+	buildSshArgs,
+}
@@ -0,0 +1,100 @@
+/**
+ * Whistant Desktop App - Minimal zip writer
+ * Enough for the diagnostics bundle: deflated files, no directories,
+ * no zip64 (entries and archive under 4 GB).
+ */
+
+const zlib = require('zlib')
+
+const CRC_TABLE = (() => {
+	const table = new Uint32Array(256)
+	for (let n = 0; n < 256; n++) {
+		let c = n
+		for (let k = 0; k < 8; k++) {
+			c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+		}
+		table[n] = c >>> 0
+	}
+	return table
+})()
+
+function crc32(buffer) {
+	let crc = 0xffffffff
+	for (const byte of buffer) {
+		crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+	}
+	return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * MS-DOS time and date fields of a Date (local time, 2 second resolution)
+ */
+function dosDateTime(date) {
+	const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+	const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+	return { time, day }
+}
+
+/**
+ * Build a zip archive from [{ name, data }] (data: string or Buffer)
+ * Returns a Buffer.
+ */
+function createZip(entries, date = new Date()) {
+	const { time, day } = dosDateTime(date)
+	const localParts = []
+	const centralParts = []
+	let offset = 0
+
+	for (const entry of entries) {
+		const name = Buffer.from(entry.name, 'utf-8')
+		const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf-8')
+		const compressed = zlib.deflateRawSync(data)
+		const crc = crc32(data)
+
+		const local = Buffer.alloc(30)
+		local.writeUInt32LE(0x04034b50, 0)     // Local file header signature
+		local.writeUInt16LE(20, 4)             // Version needed (2.0)
+		local.writeUInt16LE(0x0800, 6)         // UTF-8 names
+		local.writeUInt16LE(8, 8)              // Deflate
+		local.writeUInt16LE(time, 10)
+		local.writeUInt16LE(day, 12)
+		local.writeUInt32LE(crc, 14)
+		local.writeUInt32LE(compressed.length, 18)
+		local.writeUInt32LE(data.length, 22)
+		local.writeUInt16LE(name.length, 26)
+		local.writeUInt16LE(0, 28)             // Extra field length
+
+		const central = Buffer.alloc(46)
+		central.writeUInt32LE(0x02014b50, 0)   // Central directory header signature
+		central.writeUInt16LE(20, 4)           // Version made by
+		central.writeUInt16LE(20, 6)           // Version needed
+		central.writeUInt16LE(0x0800, 8)
+		central.writeUInt16LE(8, 10)
+		central.writeUInt16LE(time, 12)
+		central.writeUInt16LE(day, 14)
+		central.writeUInt32LE(crc, 16)
+		central.writeUInt32LE(compressed.length, 20)
+		central.writeUInt32LE(data.length, 24)
+		central.writeUInt16LE(name.length, 28)
+		central.writeUInt32LE(offset, 42)      // Offset of the local header (other fields stay 0)
+
+		localParts.push(local, name, compressed)
+		centralParts.push(central, name)
+		offset += local.length + name.length + compressed.length
+	}
+
+	const centralDirectory = Buffer.concat(centralParts)
+	const end = Buffer.alloc(22)
+	end.writeUInt32LE(0x06054b50, 0)       // End of central directory signature
+	end.writeUInt16LE(entries.length, 8)
+	end.writeUInt16LE(entries.length, 10)
+	end.writeUInt32LE(centralDirectory.length, 12)
+	end.writeUInt32LE(offset, 16)
+
+	return Buffer.concat([...localParts, centralDirectory, end])
+}
+
+module.exports = {
+	crc32,
+	createZip,
+}
@@ -23,6 +23,31 @@ contextBridge.exposeInMainWorld('whistant', {
 	checkCloudflared: () => ipcRenderer.invoke('check-cloudflared'),
 	getTunnelUrl: () => ipcRenderer.invoke('get-tunnel-url'),
 	getSystemInfo: () => ipcRenderer.invoke('get-system-info'),
+	getGpuTelemetry: () => ipcRenderer.invoke('get-gpu-telemetry'),
+
+	// Published models
+	getModelAllowlist: () => ipcRenderer.invoke('get-model-allowlist'),
+	setModelAllowlist: (models) => ipcRenderer.invoke('set-model-allowlist', models),
+
+	// Model management (progress arrives on the 'model-pull-progress' channel)
+	pullModel: (name) => ipcRenderer.invoke('pull-model', name),
+	cancelModelPull: (name) => ipcRenderer.invoke('cancel-model-pull', name),
+	deleteModel: (name) => ipcRenderer.invoke('delete-model', name),
+	showModel: (name) => ipcRenderer.invoke('show-model', name),
+	getModelFit: () => ipcRenderer.invoke('get-model-fit'),
+
+	// Activity (audit log of tunneled requests)
+	getActivity: (filter) => ipcRenderer.invoke('get-activity', filter),
+
+	// Logs (source is 'app', 'tunnel' or 'ollama')
+	getLogs: (source, filter) => ipcRenderer.invoke('get-logs', source, filter),
+	getOllamaLogs: () => ipcRenderer.invoke('get-ollama-logs'),
+	exportDiagnostics: () => ipcRenderer.invoke('export-diagnostics'),
+
+	// Settings (settings.json in userData; environment variables take precedence)
+	getSettings: () => ipcRenderer.invoke('get-settings'),
+	testSettings: (values) => ipcRenderer.invoke('test-settings', values),
+	saveSettings: (values, options) => ipcRenderer.invoke('save-settings', values, options),
 
 	// Window focus helper to recover input interactivity
 	focusWindow: () => ipcRenderer.invoke('focus-window'),
@@ -0,0 +1,50 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { createBackendPool } = require('../lib/backends/pool')
+
+function fakeBackend(url, names) {
+	return {
+		type: 'ollama',
+		label: 'Ollama',
+		url,
+		listModels: async () => names.map(name => ({ name })),
+		listLoadedModels: async () => [],
+		getVersion: async () => null,
+		checkHealth: async () => true,
+	}
+}
+
+test('getTargets matches model names without a tag to :latest', async () => {
+	const pool = createBackendPool([
+		fakeBackend('http://a', ['mistral:7b']),
+		fakeBackend('http://b', ['llama3:latest']),
+	])
+	await pool.listModels()
+
+	assert.deepEqual(pool.getTargets('llama3'), ['http://b'])
+	assert.deepEqual(pool.getTargets('llama3:latest'), ['http://b'])
+	assert.deepEqual(pool.getTargets('mistral:7b'), ['http://a'])
+})
+
+test('getTargets tries every backend for a model none lists, the primary first', async () => {
+	const pool = createBackendPool([
+		fakeBackend('http://a', ['mistral:7b']),
+		fakeBackend('http://b', ['llama3:latest']),
+	])
+	await pool.listModels()
+
+	assert.deepEqual(pool.getTargets('qwen3'), ['http://a', 'http://b'])
+	assert.deepEqual(pool.getTargets(null), ['http://a', 'http://b'])
+})
+
+test('getModelUrls lists only the backends that have the model', async () => {
+	const pool = createBackendPool([
+		fakeBackend('http://a', ['mistral:7b']),
+		fakeBackend('http://b', ['llama3:latest', 'mistral:7b']),
+	])
+	await pool.listModels()
+
+	assert.deepEqual(pool.getModelUrls('mistral:7b'), ['http://a', 'http://b'])
+	assert.deepEqual(pool.getModelUrls('llama3'), ['http://b'])
+	assert.deepEqual(pool.getModelUrls('qwen3'), [])
+})
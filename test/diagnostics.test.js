@@ -0,0 +1,43 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { redactText, redactValue } = require('../lib/diagnostics')
+
+test('redactText keeps a JSON app.log line parseable', () => {
+	// A logged payload ends up JSON-escaped inside the entry's msg
+	const payload = JSON.stringify({ url: 'https://foo.trycloudflare.com', proxySecret: 'abcdef123456', models: ['llama3:latest'] })
+	const line = JSON.stringify({
+		time: '2026-10-19T10:00:00.000Z',
+		level: 'info',
+		scope: 'service',
+		msg: `Sending payload: ${payload}`,
+		url: 'https://foo.trycloudflare.com/api/version',
+		local: 'http://127.0.0.1:11434',
+	})
+
+	const redacted = redactText(line)
+	const entry = JSON.parse(redacted)
+	assert.equal(entry.url, 'https://[redacted]')
+	assert.equal(entry.local, 'http://127.0.0.1:11434')
+	assert.deepEqual(JSON.parse(entry.msg.replace('Sending payload: ', '')), {
+		url: 'https://[redacted]',
+		proxySecret: '[redacted]',
+		models: ['llama3:latest'],
+	})
+	assert.ok(!redacted.includes('trycloudflare'))
+})
+
+test('redactText removes known secrets, bearer tokens and JWTs', () => {
+	const text = 'Authorization: Bearer abc.def-123 code=ZX81QP secret ZX81QP eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiJ4In0.sig'
+	const redacted = redactText(text, ['ZX81QP'])
+	assert.ok(!redacted.includes('ZX81QP'))
+	assert.ok(!redacted.includes('abc.def-123'))
+	assert.ok(!redacted.includes('eyJ'))
+})
+
+test('redactValue drops secret-looking keys', () => {
+	assert.deepEqual(redactValue({ TUNNEL_TOKEN: 'tok', OPENAI_BACKEND_API_KEY: '', PROXY_PORT: 11435 }), {
+		TUNNEL_TOKEN: '[redacted]',
+		OPENAI_BACKEND_API_KEY: '',
+		PROXY_PORT: 11435,
+	})
+})
@@ -0,0 +1,95 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const path = require('path')
+const { detectDrmGpus } = require('../lib/gpu-sysfs')
+const { lookupPciName, isDiscreteIntel, isAmdApu } = require('../lib/pci-ids')
+
+// card0 Intel iGPU, card1 Radeon RX 7900 XTX, card2 Arc A580 on xe, card3 Iris Xe MAX
+// (DG1) on i915 with lmem, card4 virtual display, card5 Ryzen 7000 (Raphael) iGPU,
+// card6 an APU missing from the ID list with a 2 GB carve-out, card10 Arc B580 without VRAM info
+const SYSFS_ROOT = path.join(__dirname, 'fixtures', 'sysfs')
+
+test('detectDrmGpus reads every card of a fake sysfs tree in card order', () => {
+	const gpus = detectDrmGpus(SYSFS_ROOT)
+	assert.deepEqual(gpus.map(gpu => gpu.card), ['card0', 'card1', 'card2', 'card3', 'card5', 'card6', 'card10'])
+
+	assert.deepEqual(gpus[1], {
+		card: 'card1',
+		vendor: 'amd',
+		vendorId: '0x1002',
+		deviceId: '0x744c',
+		name: 'AMD Radeon RX 7900 XT / 7900 XTX / 7900 GRE',
+		driver: 'amdgpu',
+		pciSlot: '0000:03:00.0',
+		memoryBytes: 25753026560,
+		discrete: true,
+	})
+})
+
+test('Intel integrated graphics are not discrete', () => {
+	const [igpu] = detectDrmGpus(SYSFS_ROOT)
+	assert.equal(igpu.vendor, 'intel')
+	assert.equal(igpu.name, 'Intel GPU [8086:a780]')
+	assert.equal(igpu.memoryBytes, null)
+	assert.equal(igpu.discrete, false)
+})
+
+test('AMD APUs are not discrete, by device ID or by their small carve-out', () => {
+	const gpus = detectDrmGpus(SYSFS_ROOT)
+	const byCard = Object.fromEntries(gpus.map(gpu => [gpu.card, gpu]))
+
+	assert.equal(byCard.card5.vendor, 'amd')
+	assert.equal(byCard.card5.memoryBytes, 512 * 1024 ** 2)
+	assert.equal(byCard.card5.discrete, false)
+	assert.equal(byCard.card6.memoryBytes, 2 * 1024 ** 3)
+	assert.equal(byCard.card6.discrete, false)
+	assert.equal(byCard.card1.discrete, true)
+})
+
+test('Intel Arc cards are discrete and report their VRAM', () => {
+	const gpus = detectDrmGpus(SYSFS_ROOT)
+	const byCard = Object.fromEntries(gpus.map(gpu => [gpu.card, gpu]))
+
+	// xe: hex size per tile
+	assert.equal(byCard.card2.name, 'Intel Arc A580')
+	assert.equal(byCard.card2.driver, 'xe')
+	assert.equal(byCard.card2.memoryBytes, 8 * 1024 ** 3)
+	assert.equal(byCard.card2.discrete, true)
+
+	// Not an Arc device ID, but it has local memory
+	assert.equal(byCard.card3.memoryBytes, 4 * 1024 ** 3)
+	assert.equal(byCard.card3.discrete, true)
+
+	// Arc device ID without a VRAM size
+	assert.equal(byCard.card10.name, 'Intel Arc B580')
+	assert.equal(byCard.card10.memoryBytes, null)
+	assert.equal(byCard.card10.discrete, true)
+})
+
+test('a missing sysfs tree finds no GPUs', () => {
+	assert.deepEqual(detectDrmGpus(path.join(SYSFS_ROOT, 'missing')), [])
+})
+
+test('isDiscreteIntel covers the DG2 and Battlemage ranges', () => {
+	for (const id of ['0x56a0', '0x56a2', '0x5690', '0x56b3', '0x56c0', '0xe20b', '0xe212']) {
+		assert.equal(isDiscreteIntel(id), true, id)
+	}
+	for (const id of ['0xa780', '0x46a6', '0x7d55', '0x64a0']) {
+		assert.equal(isDiscreteIntel(id), false, id)
+	}
+})
+
+test('isAmdApu knows Ryzen integrated graphics', () => {
+	for (const id of ['0x15bf', '0x164e', '0x1586', '0x15DD']) {
+		assert.equal(isAmdApu(id), true, id)
+	}
+	for (const id of ['0x744c', '0x7480', '0x74a1']) {
+		assert.equal(isAmdApu(id), false, id)
+	}
+})
+
+test('lookupPciName names known cards and shows IDs for unknown ones', () => {
+	assert.equal(lookupPciName('0x10de', '0x2684'), 'NVIDIA GeForce RTX 4090')
+	assert.equal(lookupPciName('0x1002', '0xabcd'), 'AMD GPU [1002:abcd]')
+	assert.equal(lookupPciName('0x1234', '0x1111'), null)
+})
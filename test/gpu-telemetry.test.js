@@ -0,0 +1,53 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { parseNvidiaTelemetry, parseRocmTelemetry, createRingBuffer } = require('../lib/gpu-telemetry')
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'gpu-telemetry', name), 'utf-8')
+
+test('nvidia-smi: one entry per GPU, [N/A] power becomes null', () => {
+	assert.deepEqual(parseNvidiaTelemetry(fixture('nvidia-smi-two-gpus.txt')), [
+		{ index: 0, utilization: 35, memoryUsedMb: 8123, memoryTotalMb: 24576, temperature: 61, powerW: 187.42 },
+		{ index: 1, utilization: 0, memoryUsedMb: 3, memoryTotalMb: 24576, temperature: 34, powerW: null },
+	])
+})
+
+test('nvidia-smi: [N/A] and [Not Supported] fields become null, CRLF line endings', () => {
+	assert.deepEqual(parseNvidiaTelemetry(fixture('nvidia-smi-not-supported.txt')), [
+		{ index: 0, utilization: null, memoryUsedMb: null, memoryTotalMb: 6144, temperature: 48, powerW: null },
+	])
+})
+
+test('nvidia-smi: missing fields and error output', () => {
+	assert.deepEqual(parseNvidiaTelemetry('0, 12\n'), [
+		{ index: 0, utilization: 12, memoryUsedMb: null, memoryTotalMb: null, temperature: null, powerW: null },
+	])
+	assert.deepEqual(parseNvidiaTelemetry('NVIDIA-SMI has failed because it couldn\'t communicate with the NVIDIA driver.\n'), [])
+	assert.deepEqual(parseNvidiaTelemetry(''), [])
+})
+
+test('rocm-smi 5.x: two cards with average power', () => {
+	assert.deepEqual(parseRocmTelemetry(fixture('rocm-smi-5.json')), [
+		{ index: 0, utilization: 12, memoryUsedMb: 1229, memoryTotalMb: 16368, temperature: 45, powerW: 35 },
+		{ index: 1, utilization: 0, memoryUsedMb: 14, memoryTotalMb: 8176, temperature: 38, powerW: 9 },
+	])
+})
+
+test('rocm-smi 6.x: socket power, N/A edge temperature, missing fields, system entry', () => {
+	assert.deepEqual(parseRocmTelemetry(fixture('rocm-smi-6.json')), [
+		{ index: 0, utilization: 3, memoryUsedMb: null, memoryTotalMb: null, temperature: 40, powerW: null },
+		{ index: 1, utilization: 97, memoryUsedMb: 20480, memoryTotalMb: 24560, temperature: 52, powerW: 61 },
+	])
+})
+
+test('rocm-smi: output that is not JSON throws', () => {
+	assert.throws(() => parseRocmTelemetry('ERROR: GPU[0] : Unable to read'))
+})
+
+test('ring buffer keeps the newest entries in order', () => {
+	const buffer = createRingBuffer(3)
+	for (let i = 1; i <= 5; i++) buffer.push(i)
+	assert.equal(buffer.size, 3)
+	assert.deepEqual(buffer.toArray(), [3, 4, 5])
+})
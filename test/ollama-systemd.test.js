@@ -0,0 +1,17 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { getMissingEnvironment, parseUnitEnvironment } = require('../lib/ollama-systemd')
+
+const unit = (environment) => ({ environment: parseUnitEnvironment(environment) })
+
+test('a unit without OLLAMA_HOST has Ollama\'s loopback default', () => {
+	const installer = unit('"PATH=/usr/local/bin:/usr/bin:/bin"')
+	assert.deepEqual(getMissingEnvironment(installer, { OLLAMA_HOST: '127.0.0.1:11434' }), {})
+	assert.deepEqual(getMissingEnvironment(installer, { OLLAMA_HOST: '0.0.0.0:11434' }), { OLLAMA_HOST: '0.0.0.0:11434' })
+})
+
+test('OLLAMA_HOST without a port or with a scheme matches host:port', () => {
+	assert.deepEqual(getMissingEnvironment(unit('OLLAMA_HOST=0.0.0.0'), { OLLAMA_HOST: '0.0.0.0:11434' }), {})
+	assert.deepEqual(getMissingEnvironment(unit('OLLAMA_HOST=http://0.0.0.0:11434'), { OLLAMA_HOST: '0.0.0.0:11434' }), {})
+	assert.deepEqual(getMissingEnvironment(unit('OLLAMA_HOST=0.0.0.0:11500'), { OLLAMA_HOST: '0.0.0.0:11434' }), { OLLAMA_HOST: '0.0.0.0:11434' })
+})
@@ -0,0 +1,100 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { setUserDataDir } = require('../lib/paths')
+const { startAuthProxy, stopAuthProxy, signProxyToken } = require('../lib/proxy')
+
+// Keep the proxy's log lines out of the real data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whistant-test-'))
+setUserDataDir(dataDir)
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }))
+
+const SECRET = 'test-secret'
+
+/**
+ * HTTP server on a free port that records the requests it gets
+ */
+async function startRecorder() {
+	const requests = []
+	const server = http.createServer((req, res) => {
+		requests.push({ url: req.url, authorization: req.headers.authorization || null })
+		res.writeHead(200, { 'Content-Type': 'application/json' })
+		res.end(JSON.stringify({ ok: true }))
+	})
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+	return { server, requests, url: `http://127.0.0.1:${server.address().port}` }
+}
+
+/**
+ * Send a request with a raw request target (http.get would normalize it)
+ */
+function rawRequest(proxyUrl, target, headers = {}) {
+	const { port } = new URL(proxyUrl)
+	return new Promise((resolve, reject) => {
+		const req = http.request({ host: '127.0.0.1', port, method: 'POST', path: target, headers }, (res) => {
+			res.resume()
+			res.on('end', () => resolve(res.statusCode))
+		})
+		req.on('error', reject)
+		req.end(JSON.stringify({ model: 'llama3' }))
+	})
+}
+
+test('the proxy only forwards paths, to the configured backend', async (t) => {
+	const backend = await startRecorder()
+	const other = await startRecorder()
+	const proxyUrl = await startAuthProxy({
+		port: 0,
+		getTargets: () => [backend.url],
+		getUpstreamHeaders: () => ({ Authorization: 'Bearer SECRET-API-KEY' }),
+		getSecret: () => SECRET,
+	})
+	t.after(() => {
+		stopAuthProxy()
+		backend.server.close()
+		other.server.close()
+	})
+	const headers = { Authorization: `Bearer ${signProxyToken(SECRET, 'phone')}`, 'Content-Type': 'application/json' }
+	const otherHost = new URL(other.url).host
+
+	for (const target of [
+		`//${otherHost}/v1/chat/completions`,
+		`http://${otherHost}/v1/chat/completions`,
+		`/\\${otherHost}/v1/chat/completions`,
+	]) {
+		assert.equal(await rawRequest(proxyUrl, target, headers), 400, target)
+	}
+	assert.deepEqual(other.requests, [])
+	assert.deepEqual(backend.requests, [])
+
+	assert.equal(await rawRequest(proxyUrl, '/v1/chat/completions?stream=false', headers), 200)
+	assert.deepEqual(backend.requests, [{ url: '/v1/chat/completions?stream=false', authorization: 'Bearer SECRET-API-KEY' }])
+})
+
+test('pooled backends get the same path, on failover and for merged model lists', async (t) => {
+	const backend = await startRecorder()
+	const other = await startRecorder()
+	// Nothing listens on the first target once its port is released
+	const down = await startRecorder()
+	await new Promise(resolve => down.server.close(resolve))
+	const proxyUrl = await startAuthProxy({
+		port: 0,
+		getTargets: () => [down.url, backend.url],
+		getSecret: () => SECRET,
+	})
+	t.after(() => {
+		stopAuthProxy()
+		backend.server.close()
+		other.server.close()
+	})
+	const headers = { Authorization: `Bearer ${signProxyToken(SECRET, 'phone')}`, 'Content-Type': 'application/json' }
+
+	assert.equal(await rawRequest(proxyUrl, `//${new URL(other.url).host}/api/tags`, headers), 400)
+	assert.equal(await rawRequest(proxyUrl, '/api/chat', headers), 200)
+	assert.equal(await rawRequest(proxyUrl, '/api/tags', headers), 200)
+	assert.deepEqual(backend.requests.map(request => request.url), ['/api/chat', '/api/tags'])
+	assert.deepEqual(other.requests, [])
+})
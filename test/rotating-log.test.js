@@ -0,0 +1,38 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createRotatingLog } = require('../lib/rotating-log')
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whistant-test-'))
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+test('rotates by size and keeps maxFiles gzipped files', async () => {
+	const filePath = path.join(dir, 'app.log')
+	const log = createRotatingLog(filePath, { maxBytes: 100, maxFiles: 2, compress: true })
+	for (let i = 1; i <= 40; i++) {
+		log.append(`line ${String(i).padStart(2, '0')} ${'x'.repeat(12)}`)  // 21 bytes
+	}
+	await log.close()
+
+	assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('app.log')).sort(), ['app.log', 'app.log.1.gz', 'app.log.2.gz'])
+	const lines = await log.readLines()
+	assert.equal(lines.length, 15)  // 5 lines per file
+	assert.equal(lines[0], `line 26 ${'x'.repeat(12)}`)
+	assert.equal(lines.at(-1), `line 40 ${'x'.repeat(12)}`)
+})
+
+test('readLines returns the newest lines without reading older files', async () => {
+	const filePath = path.join(dir, 'audit.log')
+	const log = createRotatingLog(filePath, { maxBytes: 1024 * 1024, maxFiles: 1 })
+	fs.writeFileSync(`${filePath}.1`, 'not reached\n')
+	for (let i = 1; i <= 5000; i++) {
+		log.append(JSON.stringify({ i }))
+	}
+	await log.close()
+
+	assert.deepEqual(await log.readLines(3), ['{"i":4998}', '{"i":4999}', '{"i":5000}'])
+	assert.equal((await log.readLines(5001))[0], 'not reached')
+	assert.deepEqual(await createRotatingLog(path.join(dir, 'missing.log')).readLines(10), [])
+})
@@ -0,0 +1,30 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { createScheduler } = require('../lib/scheduler')
+
+test('configure raises the concurrency for requests already queued', async () => {
+	const scheduler = createScheduler({ maxConcurrent: 1, maxQueue: 2, rateLimitPerMinute: 0 })
+	const first = await scheduler.acquire()
+	let secondStarted = false
+	const second = scheduler.acquire().then(release => {
+		secondStarted = true
+		return release
+	})
+	await Promise.resolve()
+	assert.equal(secondStarted, false)
+
+	scheduler.configure({ maxConcurrent: 2 })
+	const release = await second
+	assert.deepEqual(scheduler.getStats(), { active: 2, queued: 0, maxConcurrent: 2, maxQueue: 2 })
+	first()
+	release()
+})
+
+test('configure changes the rate limit of the running scheduler', () => {
+	const scheduler = createScheduler({ rateLimitPerMinute: 1 })
+	scheduler.checkRateLimit('phone')
+	assert.throws(() => scheduler.checkRateLimit('phone'), { status: 429 })
+
+	scheduler.configure({ rateLimitPerMinute: 0 })
+	assert.doesNotThrow(() => scheduler.checkRateLimit('phone'))
+})
@@ -66,6 +66,8 @@ function setupRegistrationWarningListener() {
 			
 			if (reason === 'server-url-update-failed') {
 				displayMessage += 'Server URL update failed: ' + (detail || 'Could not update server URL')
+			} else if (reason === 'model-list-update-failed') {
+				displayMessage += 'Model list update failed: ' + (detail || 'Could not update published models')
 			} else {
 				displayMessage += detail || 'An issue occurred during registration'
 			}
@@ -80,6 +82,24 @@ function setupRegistrationWarningListener() {
 	})
 }
 
+/**
+ * Refresh the model lists as soon as models are pulled or deleted in Ollama
+ */
+function setupModelsChangedListener() {
+	window.whistant.on('models-changed', async (event, data) => {
+		console.log(`🔄 Models changed: ${data.models.length} models, ${data.published.length} published`)
+		
+		const currentScreen = document.querySelector('.screen.active')?.id
+		if (currentScreen === 'screen-success') {
+			await displayModelsListOnSuccess()
+		} else if (currentScreen === 'screen-models') {
+			await loadManageModels()
+		} else if (currentScreen === 'screen-enter-code') {
+			await displayModelsList(data.models)
+		}
+	})
+}
+
 /**
  * Initialize app on load
  */
@@ -89,6 +109,12 @@ window.addEventListener('DOMContentLoaded', async () => {
 	// Set up registration warning listener
 	setupRegistrationWarningListener()
 
+	// Keep model lists in sync with Ollama
+	setupModelsChangedListener()
+
+	// Pull progress for the Models screen
+	setupModelPullProgressListener()
+
 	// Start monitoring services in background
 	startStatusMonitoring()
 
@@ -119,10 +145,12 @@ window.addEventListener('DOMContentLoaded', async () => {
 async function waitForOllama() {
 	let attempts = 0
 	const maxAttempts = 30 // 30 seconds with 1 second intervals
+	let backend = null
 	
 	while (attempts < maxAttempts) {
 		try {
 			const result = await window.whistant.checkOllama()
+			backend = result.backend || backend
 			if (result.success) {
 				console.log('✅ Ollama is ready with', result.models?.length || 0, 'models')
 				// Display models list with GPU load status
@@ -144,12 +172,23 @@ async function waitForOllama() {
 	}
 	
 	// Timeout - show error
-	document.getElementById('error-message').textContent = 
-		'❌ Ollama is not running\n\nPlease start Ollama on localhost:11434 first.\n\nRun: ollama serve'
+	const message = backendNotRunningMessage(backend)
+	document.getElementById('error-message').textContent =
+		!backend || backend.type === 'ollama' ? `${message}\n\nRun: ollama serve` : message
 	showScreen('screen-error')
 	return false
 }
 
+/**
+ * Error text for an unreachable backend ({ type, label, url } from checkOllama)
+ */
+function backendNotRunningMessage(backend) {
+	if (!backend || backend.type === 'ollama') {
+		return '❌ Ollama is not running\n\nPlease start Ollama on localhost:11434 first.'
+	}
+	return `❌ ${backend.label} server is not running\n\nPlease start it on ${backend.url} first.`
+}
+
 /**
  * Display list of available Ollama models with GPU loaded status
  */
@@ -180,7 +219,7 @@ async function displayModelsList(models) {
 		const isLoaded = loadedModels.includes(modelName)
 		const icon = isLoaded ? '🟢' : '⚪'
 		const status = isLoaded ? '<span style="color: #4caf50; font-weight: 600;"> (Loaded)</span>' : ''
-		html += `<div style="padding: 4px 0; font-size: 14px;">${icon} ${modelName}${status}</div>`
+		html += `<div style="padding: 4px 0; font-size: 14px;">${icon} ${escapeHtml(modelName)}${status}</div>`
 	})
 	
 	modelsList.innerHTML = html
@@ -213,14 +252,28 @@ async function displayModelsListOnSuccess() {
 			console.warn('Could not fetch loaded models')
 		}
 		
-		// Build the models list HTML
+		// Get the published model allowlist (null means all models are published)
+		let allowlist = null
+		try {
+			const allowlistResult = await window.whistant.getModelAllowlist()
+			allowlist = allowlistResult.allowlist || null
+		} catch (e) {
+			console.warn('Could not fetch model allowlist')
+		}
+		
+		const fitByName = getFitByName(await loadModelFit())
+		
+		// Build the models list HTML with a publish checkbox per model
 		let html = ''
 		result.models.forEach(model => {
 			const modelName = model.name || model
 			const isLoaded = loadedModels.includes(modelName)
+			const isPublished = !allowlist || allowlist.includes(modelName)
 			const icon = isLoaded ? '🟢' : '⚪'
 			const status = isLoaded ? '<span style="color: #4caf50; font-weight: 600;"> (Loaded)</span>' : ''
-			html += `<div style="padding: 4px 0; font-size: 14px;">${icon} ${modelName}${status}</div>`
+			html += `<label style="display: flex; align-items: center; gap: 6px; padding: 4px 0; font-size: 14px;" title="Publish to iPhone">`
+			html += `<input type="checkbox" class="publish-model" data-model="${escapeHtml(modelName)}" ${isPublished ? 'checked' : ''} onchange="updatePublishedModels()"/>`
+			html += `${icon} ${escapeHtml(modelName)}${status}${fitBadge(fitByName.get(modelName))}</label>`
 		})
 		
 		modelsList.innerHTML = html
@@ -231,6 +284,96 @@ async function displayModelsListOnSuccess() {
 	}
 }
 
+const TELEMETRY_METRICS = [
+	{ key: 'utilization', label: 'Utilization', max: () => 100, format: (v) => `${v}%` },
+	{ key: 'memoryUsedMb', label: 'Memory', max: (gpu) => gpu.memoryTotalMb, format: (v, gpu) => `${(v / 1024).toFixed(1)} / ${((gpu.memoryTotalMb || 0) / 1024).toFixed(1)} GB` },
+	{ key: 'temperature', label: 'Temperature', max: () => 100, format: (v) => `${v}°C` },
+	{ key: 'powerW', label: 'Power', max: () => null, format: (v) => `${Math.round(v)} W` },
+]
+
+/**
+ * Inline SVG sparkline; gaps (null values) are skipped
+ * max null scales to the largest value in the series
+ */
+function sparklineSvg(values, max) {
+	const top = max || Math.max(1, ...values.filter(v => v !== null))
+	const step = values.length > 1 ? 100 / (values.length - 1) : 0
+	const points = values
+		.map((v, i) => (v === null ? null : `${(i * step).toFixed(2)},${(24 - Math.min(v / top, 1) * 22).toFixed(2)}`))
+		.filter(Boolean)
+		.join(' ')
+	return `<svg class="sparkline" viewBox="0 0 100 24" preserveAspectRatio="none"><polyline points="${points}"/></svg>`
+}
+
+/**
+ * Show GPU utilization, memory, temperature and power for the last hour
+ */
+async function loadGpuTelemetry() {
+	const container = document.getElementById('gpu-telemetry')
+	if (!container) return
+	
+	let result
+	try {
+		result = await window.whistant.getGpuTelemetry()
+	} catch (e) {
+		console.warn('Could not fetch GPU telemetry')
+		return
+	}
+	if (!result.success || result.samples.length === 0) {
+		container.style.display = 'none'
+		return
+	}
+	
+	const samples = result.samples
+	const latest = samples[samples.length - 1]
+	const minutes = Math.max(1, Math.round((latest.timestamp - samples[0].timestamp) / 60000))
+	document.getElementById('gpu-telemetry-span').textContent = `(last ${minutes} min)`
+	
+	let html = ''
+	latest.gpus.forEach(gpu => {
+		if (latest.gpus.length > 1) {
+			html += `<div class="telemetry-gpu">GPU ${gpu.index}</div>`
+		}
+		TELEMETRY_METRICS.forEach(metric => {
+			const values = samples.map(sample => {
+				const value = sample.gpus.find(g => g.index === gpu.index)?.[metric.key]
+				return value ?? null
+			})
+			const current = gpu[metric.key]
+			html += '<div class="telemetry-row">'
+			html += `<span class="label">${metric.label}</span>`
+			html += sparklineSvg(values, metric.max(gpu))
+			html += `<span class="value">${current === null ? '-' : metric.format(current, gpu)}</span>`
+			html += '</div>'
+		})
+	})
+	
+	document.getElementById('gpu-telemetry-charts').innerHTML = html
+	container.style.display = 'block'
+}
+
+/**
+ * Save the published models from the success screen checkboxes
+ */
+async function updatePublishedModels() {
+	const checkboxes = document.querySelectorAll('#success-models-list .publish-model')
+	const published = Array.from(checkboxes).filter(cb => cb.checked).map(cb => cb.dataset.model)
+	
+	// Everything checked means publish all, including models pulled later
+	const allowlist = published.length === checkboxes.length ? null : published
+	
+	try {
+		const result = await window.whistant.setModelAllowlist(allowlist)
+		if (result.success) {
+			console.log(`✅ Published models updated: ${allowlist ? allowlist.join(', ') : 'all'}`)
+		} else {
+			console.error('Failed to update published models:', result.error)
+		}
+	} catch (error) {
+		console.error('Failed to update published models:', error)
+	}
+}
+
 /**
  * Load and display system information
  */
@@ -249,44 +392,15 @@ async function loadSystemInfo() {
 				graphicsText += ' | NVIDIA'
 			} else if (sysInfo.gpuType === 'amd') {
 				graphicsText += ' | AMD'
+			} else if (sysInfo.gpuType === 'intel') {
+				graphicsText += ' | Intel'
 			} else if (sysInfo.gpuType === 'mac') {
 				graphicsText += ' | Apple'
 			}
 			document.getElementById('code-graphics').textContent = graphicsText
 			
-			// Show GPU-specific details
-			const detail1 = document.getElementById('code-gpu-detail-1')
-			const detail2 = document.getElementById('code-gpu-detail-2')
-			const detail1Label = document.getElementById('code-gpu-detail-1-label')
-			const detail1Value = document.getElementById('code-gpu-detail-1-value')
-			const detail2Label = document.getElementById('code-gpu-detail-2-label')
-			const detail2Value = document.getElementById('code-gpu-detail-2-value')
-			
-			if (sysInfo.gpuType === 'nvidia') {
-				// Show NVIDIA driver and CUDA
-				detail1.style.display = ''
-				detail2.style.display = ''
-				detail1Label.textContent = 'NVIDIA Driver:'
-				detail1Value.textContent = sysInfo.nvidiaDriver || 'Not available'
-				detail2Label.textContent = 'CUDA Version:'
-				detail2Value.textContent = sysInfo.cuda || 'Not available'
-			} else if (sysInfo.gpuType === 'amd' && sysInfo.amdInfo) {
-				// Show AMD info
-				detail1.style.display = ''
-				detail2.style.display = 'none'
-				detail1Label.textContent = 'AMD GPU:'
-				detail1Value.textContent = sysInfo.amdInfo.name || 'AMD GPU detected'
-			} else if (sysInfo.gpuType === 'mac' && sysInfo.macInfo) {
-				// Show Mac Metal info
-				detail1.style.display = ''
-				detail2.style.display = 'none'
-				detail1Label.textContent = 'Metal Support:'
-				detail1Value.textContent = sysInfo.macInfo.metal ? 'Supported' : 'Not supported'
-			} else {
-				// Hide GPU details if no specific info
-				detail1.style.display = 'none'
-				detail2.style.display = 'none'
-			}
+			// One row per card plus driver / CUDA / Metal details
+			displayGpuDetails('code-gpu-details', sysInfo)
 			
 			document.getElementById('code-url').textContent = sysInfo.url || '-'
 			console.log(`✅ System info loaded (GPU Type: ${sysInfo.gpuType})`)
@@ -296,6 +410,33 @@ async function loadSystemInfo() {
 	}
 }
 
+/**
+ * Show each GPU (name and VRAM) and the driver details for its vendor
+ */
+function displayGpuDetails(containerId, sysInfo) {
+	const container = document.getElementById(containerId)
+	if (!container) return
+	
+	const rows = []
+	const gpus = sysInfo.gpus || []
+	if (sysInfo.gpuType !== 'mac') {
+		gpus.forEach(gpu => rows.push([`GPU ${gpu.index}:`, `${gpu.name} (${gpu.vram})`]))
+		if (gpus.length > 1 && sysInfo.totalVram) {
+			rows.push(['Total VRAM:', sysInfo.totalVram])
+		}
+	}
+	if (sysInfo.gpuType === 'nvidia') {
+		rows.push(['NVIDIA Driver:', sysInfo.nvidiaDriver || 'Not available'])
+		rows.push(['CUDA Version:', sysInfo.cuda || 'Not available'])
+	} else if (sysInfo.gpuType === 'mac' && sysInfo.macInfo) {
+		rows.push(['Metal Support:', sysInfo.macInfo.metal ? 'Supported' : 'Not supported'])
+	}
+	
+	container.innerHTML = rows
+		.map(([label, value]) => `<div class="info-item"><span class="label">${escapeHtml(label)}</span><span class="value">${escapeHtml(value)}</span></div>`)
+		.join('')
+}
+
 /**
  * Load and display system information on success screen
  */
@@ -312,47 +453,15 @@ async function loadSuccessSystemInfo() {
 				graphicsText += ' | NVIDIA'
 			} else if (sysInfo.gpuType === 'amd') {
 				graphicsText += ' | AMD'
+			} else if (sysInfo.gpuType === 'intel') {
+				graphicsText += ' | Intel'
 			} else if (sysInfo.gpuType === 'mac') {
 				graphicsText += ' | Apple'
 			}
 			document.getElementById('success-graphics').textContent = graphicsText
 			
-			// Show GPU-specific details
-			const detail1 = document.getElementById('success-gpu-detail-1')
-			const detail2 = document.getElementById('success-gpu-detail-2')
-			const detail1Label = document.getElementById('success-gpu-detail-1-label')
-			const detail1Value = document.getElementById('success-gpu-detail-1-value')
-			const detail2Label = document.getElementById('success-gpu-detail-2-label')
-			const detail2Value = document.getElementById('success-gpu-detail-2-value')
-			
-			console.log('GPU Type detected:', sysInfo.gpuType)
-			console.log('Mac Info:', sysInfo.macInfo)
-			
-			if (sysInfo.gpuType === 'nvidia') {
-				// Show NVIDIA driver and CUDA
-				detail1.style.display = ''
-				detail2.style.display = ''
-				detail1Label.textContent = 'NVIDIA Driver:'
-				detail1Value.textContent = sysInfo.nvidiaDriver || 'Not available'
-				detail2Label.textContent = 'CUDA Version:'
-				detail2Value.textContent = sysInfo.cuda || 'Not available'
-			} else if (sysInfo.gpuType === 'amd' && sysInfo.amdInfo) {
-				// Show AMD info
-				detail1.style.display = ''
-				detail2.style.display = 'none'
-				detail1Label.textContent = 'AMD GPU:'
-				detail1Value.textContent = sysInfo.amdInfo.name || 'AMD GPU detected'
-			} else if (sysInfo.gpuType === 'mac' && sysInfo.macInfo) {
-				// Show Mac Metal info
-				detail1.style.display = ''
-				detail2.style.display = 'none'
-				detail1Label.textContent = 'Metal Support:'
-				detail1Value.textContent = sysInfo.macInfo.metal ? 'Supported' : 'Not supported'
-			} else {
-				// Hide GPU details if no specific info
-				detail1.style.display = 'none'
-				detail2.style.display = 'none'
-			}
+			// One row per card plus driver / CUDA / Metal details
+			displayGpuDetails('success-gpu-details', sysInfo)
 			
 			console.log(`✅ Success screen system info loaded (GPU Type: ${sysInfo.gpuType})`)
 		}
@@ -361,6 +470,551 @@ async function loadSuccessSystemInfo() {
 	}
 }
 
+/**
+ * Escape text from the audit log or a backend before putting it in HTML
+ */
+function escapeHtml(text) {
+	return String(text ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+}
+
+/**
+ * Show the Activity screen
+ */
+async function showActivity() {
+	showScreen('screen-activity')
+	await loadActivity()
+}
+
+/**
+ * Load and display tunneled request records with the current filters
+ */
+async function loadActivity() {
+	const activityList = document.getElementById('activity-list')
+	const summary = document.getElementById('activity-summary')
+	if (!activityList) return
+	
+	const filter = {
+		search: document.getElementById('activity-search').value.trim(),
+		status: document.getElementById('activity-status').value || undefined,
+	}
+	
+	try {
+		const result = await window.whistant.getActivity(filter)
+		if (!result.success) {
+			activityList.innerHTML = `<div style="color: #666;">Error loading activity: ${escapeHtml(result.error)}</div>`
+			return
+		}
+		
+		const records = result.records || []
+		const errors = records.filter(r => r.status >= 400).length
+		const outputTokens = records.reduce((sum, r) => sum + (r.outputTokens || 0), 0)
+		summary.textContent = `${records.length} requests | ${errors} errors | ${outputTokens} output tokens`
+		
+		if (records.length === 0) {
+			activityList.innerHTML = '<div style="color: #666;">No activity yet</div>'
+			return
+		}
+		
+		let html = '<table class="activity-table"><thead><tr>'
+		html += '<th>Time</th><th>Endpoint</th><th>Model</th><th>Tokens in/out</th><th>Duration</th><th>Status</th>'
+		html += '</tr></thead><tbody>'
+		records.forEach(record => {
+			const time = new Date(record.timestamp).toLocaleString()
+			const tokens = record.promptTokens != null || record.outputTokens != null
+				? `${record.promptTokens ?? '-'} / ${record.outputTokens ?? '-'}`
+				: '-'
+			const statusClass = record.status >= 400 ? 'activity-error' : 'activity-ok'
+			html += `<tr title="${escapeHtml(record.client)}">`
+			html += `<td>${escapeHtml(time)}</td>`
+			html += `<td>${escapeHtml(record.method)} ${escapeHtml(record.endpoint)}</td>`
+			html += `<td>${escapeHtml(record.model || '-')}</td>`
+			html += `<td>${tokens}</td>`
+			html += `<td>${(record.durationMs / 1000).toFixed(1)}s</td>`
+			html += `<td class="${statusClass}">${escapeHtml(record.status)}</td>`
+			html += '</tr>'
+		})
+		html += '</tbody></table>'
+		
+		activityList.innerHTML = html
+	} catch (error) {
+		console.error('Failed to load activity:', error)
+		activityList.innerHTML = '<div style="color: #666;">Error loading activity</div>'
+	}
+}
+
+let logSource = 'app'
+
+/**
+ * Show the Logs screen
+ */
+async function showLogs() {
+	showScreen('screen-logs')
+	await loadLogs()
+}
+
+/**
+ * Switch the log viewer to another source tab
+ */
+async function selectLogSource(source) {
+	logSource = source
+	document.querySelectorAll('.log-tab').forEach(tab => {
+		tab.classList.toggle('active', tab.dataset.source === source)
+	})
+	await loadLogs()
+}
+
+/**
+ * Load and display the newest lines of the selected log with the current filters
+ * With Follow checked the view stays scrolled to the newest line.
+ */
+async function loadLogs() {
+	const logOutput = document.getElementById('log-output')
+	const logPath = document.getElementById('log-path')
+	if (!logOutput) return
+	
+	const filter = {
+		search: document.getElementById('log-search').value.trim(),
+		level: document.getElementById('log-level').value,
+		limit: 1000,
+	}
+	
+	try {
+		const result = await window.whistant.getLogs(logSource, filter)
+		if (!result.success) {
+			logOutput.innerHTML = `<div style="color: #666;">Error loading logs: ${escapeHtml(result.error)}</div>`
+			return
+		}
+		
+		logPath.textContent = `${result.path} | ${result.lines.length} lines`
+		
+		if (result.lines.length === 0) {
+			logOutput.innerHTML = '<div style="color: #666;">No log lines yet</div>'
+			return
+		}
+		
+		logOutput.innerHTML = result.lines
+			.map(line => `<div class="log-line log-${line.level}">${escapeHtml(line.text)}</div>`)
+			.join('')
+		
+		if (document.getElementById('log-follow').checked) {
+			logOutput.scrollTop = logOutput.scrollHeight
+		}
+	} catch (error) {
+		console.error('Failed to load logs:', error)
+		logOutput.innerHTML = '<div style="color: #666;">Error loading logs</div>'
+	}
+}
+
+/**
+ * Save the diagnostics zip (logs, system info, redacted registration)
+ */
+async function exportDiagnostics() {
+	const button = document.getElementById('export-diagnostics-button')
+	const resultEl = document.getElementById('export-diagnostics-result')
+	button.disabled = true
+	button.textContent = 'Exporting...'
+	
+	try {
+		const result = await window.whistant.exportDiagnostics()
+		if (result.canceled) return
+		resultEl.style.display = 'block'
+		resultEl.textContent = result.success
+			? `✅ Saved to ${result.path}`
+			: `❌ Export failed: ${result.error}`
+	} catch (error) {
+		console.error('Failed to export diagnostics:', error)
+	} finally {
+		button.disabled = false
+		button.textContent = 'Export Diagnostics'
+	}
+}
+
+const SETTING_SOURCES = {
+	env: 'Environment',
+	user: 'Settings',
+	default: 'Default',
+}
+
+let settingsReturnScreen = 'screen-enter-code'
+
+/**
+ * Show the Settings screen (Back returns to the current screen)
+ */
+async function showSettings() {
+	settingsReturnScreen = document.querySelector('.screen.active')?.id || 'screen-enter-code'
+	showScreen('screen-settings')
+	document.getElementById('settings-result').style.display = 'none'
+	document.getElementById('settings-save-anyway-button').style.display = 'none'
+	
+	try {
+		const result = await window.whistant.getSettings()
+		if (!result.success) {
+			document.getElementById('settings-form').innerHTML = `<div style="color: #666;">Error loading settings: ${escapeHtml(result.error)}</div>`
+			return
+		}
+		displaySettings(result)
+	} catch (error) {
+		console.error('Failed to load settings:', error)
+	}
+}
+
+function closeSettings() {
+	showScreen(settingsReturnScreen)
+}
+
+/**
+ * One field per setting; values set by the environment are shown but locked
+ */
+function displaySettings({ path, settings }) {
+	const form = document.getElementById('settings-form')
+	document.getElementById('settings-path').textContent = path
+	
+	form.innerHTML = settings.map(setting => {
+		const locked = setting.source === 'env'
+		const id = `setting-${setting.key}`
+		let input
+		if (setting.type === 'choice') {
+			const options = [`<option value="">Default (${escapeHtml(setting.defaultValue)})</option>`]
+				.concat(setting.choices.map(choice => `<option value="${escapeHtml(choice)}" ${(locked ? setting.value : setting.userValue) === choice ? 'selected' : ''}>${escapeHtml(choice)}</option>`))
+			input = `<select id="${id}" data-key="${setting.key}" ${locked ? 'disabled' : ''}>${options.join('')}</select>`
+		} else {
+			const value = locked ? setting.value : setting.userValue
+			const list = setting.suggestions ? `list="${id}-suggestions"` : ''
+			input = `<input type="text" id="${id}" data-key="${setting.key}" value="${escapeHtml(value)}" placeholder="${escapeHtml(setting.defaultValue)}" ${list} ${locked ? 'disabled' : ''}/>`
+			if (setting.suggestions) {
+				input += `<datalist id="${id}-suggestions">${setting.suggestions.map(s => `<option value="${escapeHtml(s.value)}">${escapeHtml(s.label)}</option>`).join('')}</datalist>`
+			}
+		}
+		const defaultText = setting.defaultValue === '' ? 'none' : setting.defaultValue
+		const note = locked
+			? `Set by ${setting.key} in the environment or .env. Remove it there to change it here.`
+			: `${setting.key}, default ${defaultText}. Leave empty to use the default.`
+		
+		return `<div class="settings-field">
+			<label for="${id}">${escapeHtml(setting.label)} <span class="settings-source settings-source-${setting.source}">${SETTING_SOURCES[setting.source]}</span></label>
+			${input}
+			<div class="settings-note">${escapeHtml(note)}</div>
+			<div class="settings-error" id="setting-error-${setting.key}"></div>
+		</div>`
+	}).join('')
+}
+
+/**
+ * Values of the editable fields ({ KEY: value })
+ */
+function collectSettingsValues() {
+	const values = {}
+	document.querySelectorAll('#settings-form [data-key]').forEach(field => {
+		if (!field.disabled) values[field.dataset.key] = field.value.trim()
+	})
+	return values
+}
+
+function showSettingsErrors(errors = {}) {
+	document.querySelectorAll('#settings-form .settings-error').forEach(el => {
+		const key = el.id.replace('setting-error-', '')
+		el.textContent = errors[key] ? `❌ ${errors[key]}` : ''
+	})
+}
+
+function showSettingsResult(text, isError) {
+	const resultEl = document.getElementById('settings-result')
+	resultEl.style.display = 'block'
+	resultEl.className = `settings-result ${isError ? 'settings-result-error' : ''}`
+	resultEl.textContent = text
+}
+
+/**
+ * Check the entered URLs without saving them
+ */
+async function testSettingsForm() {
+	showSettingsResult('Testing...', false)
+	const result = await window.whistant.testSettings(collectSettingsValues())
+	if (!result.success) {
+		showSettingsResult(`Test failed: ${result.error}`, true)
+		return
+	}
+	showSettingsErrors(result.errors)
+	showSettingsResult(result.valid ? '✅ All servers reachable' : 'Some settings need attention', !result.valid)
+}
+
+/**
+ * Save and apply the settings; skipProbe saves URLs that did not answer
+ */
+async function saveSettingsForm(skipProbe = false) {
+	const button = document.getElementById('settings-save-button')
+	const saveAnyway = document.getElementById('settings-save-anyway-button')
+	button.disabled = true
+	button.textContent = 'Saving...'
+	
+	try {
+		const result = await window.whistant.saveSettings(collectSettingsValues(), { skipProbe })
+		if (!result.success) {
+			showSettingsErrors(result.errors)
+			showSettingsResult(result.error, true)
+			// Format errors can't be saved; unreachable servers can
+			const probeOnly = result.errors && Object.values(result.errors).every(message => /^(Not reachable|Did not answer)/.test(message))
+			saveAnyway.style.display = probeOnly ? 'block' : 'none'
+			return
+		}
+		
+		saveAnyway.style.display = 'none'
+		displaySettings(result)
+		const warnings = result.applied?.warnings || []
+		if (result.changed.length === 0) {
+			showSettingsResult('Saved, nothing changed', false)
+		} else {
+			const lines = [`✅ Saved and applied: ${result.changed.join(', ')}`]
+			if (result.applied?.reregistered) lines.push('Registration sent to the new Whistant server')
+			warnings.forEach(warning => lines.push(`⚠️ ${warning}`))
+			showSettingsResult(lines.join('\n'), warnings.length > 0)
+		}
+	} catch (error) {
+		console.error('Failed to save settings:', error)
+		showSettingsResult('Failed to save settings', true)
+	} finally {
+		button.disabled = false
+		button.textContent = 'Save'
+	}
+}
+
+/**
+ * Show the Models screen
+ */
+async function showModels() {
+	showScreen('screen-models')
+	document.getElementById('model-details').style.display = 'none'
+	await loadManageModels()
+}
+
+/**
+ * List installed models with Details / Delete actions
+ */
+async function loadManageModels() {
+	const modelsList = document.getElementById('manage-models-list')
+	if (!modelsList) return
+	
+	try {
+		const result = await window.whistant.checkOllama()
+		if (!result.success) {
+			modelsList.innerHTML = `<div style="color: #666;">${escapeHtml(result.error)}</div>`
+			return
+		}
+		if (!result.models || result.models.length === 0) {
+			modelsList.innerHTML = '<div style="color: #666;">No models installed yet</div>'
+			return
+		}
+		
+		const fitResult = await loadModelFit()
+		const fitByName = getFitByName(fitResult)
+		displayRecommendations(fitResult)
+		
+		let html = ''
+		result.models.forEach(model => {
+			const sizeGb = model.size ? ` <span class="muted">${(model.size / (1024 ** 3)).toFixed(1)} GB</span>` : ''
+			html += '<div class="manage-model-row">'
+			html += `<span>${escapeHtml(model.name)}${sizeGb}${fitBadge(fitByName.get(model.name))}</span>`
+			html += '<span>'
+			html += `<button class="btn-copy" data-model="${escapeHtml(model.name)}" onclick="showModelDetails(this.dataset.model)">Details</button> `
+			html += `<button class="btn-copy btn-danger" data-model="${escapeHtml(model.name)}" onclick="deleteManagedModel(this.dataset.model)">Delete</button>`
+			html += '</span></div>'
+		})
+		modelsList.innerHTML = html
+	} catch (error) {
+		console.error('Failed to load models:', error)
+		modelsList.innerHTML = '<div style="color: #666;">Error loading models</div>'
+	}
+}
+
+const FIT_BADGES = {
+	gpu: { label: 'GPU', title: 'Fits fully in GPU memory' },
+	partial: { label: 'Partial', title: 'Partly offloaded to the CPU (slower)' },
+	cpu: { label: 'CPU', title: 'Mostly runs on the CPU (slow)' },
+}
+
+/**
+ * Fetch VRAM fit estimates for installed models (null if unavailable)
+ */
+async function loadModelFit() {
+	try {
+		const result = await window.whistant.getModelFit()
+		return result.success ? result : null
+	} catch (e) {
+		console.warn('Could not fetch model fit')
+		return null
+	}
+}
+
+/**
+ * Map model name -> fit estimate
+ */
+function getFitByName(fitResult) {
+	return new Map((fitResult ? fitResult.models : []).map(fit => [fit.name, fit]))
+}
+
+/**
+ * Badge showing whether a model runs on the GPU, partly offloads or is CPU-bound
+ */
+function fitBadge(fit) {
+	const badge = fit && FIT_BADGES[fit.fit]
+	// No size or parameter count (some OpenAI-compatible servers), so no estimate
+	if (!badge || !fit.requiredBytes) return ''
+	const needed = ` (~${(fit.requiredBytes / (1024 ** 3)).toFixed(1)} GB needed)`
+	return `<span class="fit-badge fit-${fit.fit}" title="${badge.title}${needed}">${badge.label}</span>`
+}
+
+/**
+ * Show the agent / reasoning models suited to this GPU, with Pull buttons
+ */
+function displayRecommendations(fitResult) {
+	const panel = document.getElementById('model-recommendations')
+	if (!panel) return
+	if (!fitResult) {
+		panel.style.display = 'none'
+		return
+	}
+	
+	const { gpu, recommendations } = fitResult
+	const memory = gpu.vramBytes > 0
+		? `${(gpu.vramBytes / (1024 ** 3)).toFixed(1)} GB${gpu.unified ? ' usable unified memory' : ' VRAM'}`
+		: 'CPU only'
+	let html = `<strong>Recommended for ${escapeHtml(gpu.name)}</strong> <span class="muted">(${memory})</span>`
+	recommendations.models.forEach(rec => {
+		const role = rec.role === 'agent' ? 'Agent' : 'Reasoning'
+		const instead = rec.isFallback ? ` <span class="muted">instead of ${escapeHtml(rec.recommendedName)}</span>` : ''
+		html += '<div class="manage-model-row">'
+		html += `<span>${role}: ${escapeHtml(rec.name)}${fitBadge(rec)}${instead}</span>`
+		html += rec.installed
+			? '<span class="muted">Installed</span>'
+			: `<button class="btn-copy" data-model="${escapeHtml(rec.name)}" onclick="pullRecommendedModel(this.dataset.model)">Pull</button>`
+		html += '</div>'
+	})
+	if (!recommendations.pairFitsTogether) {
+		html += '<div class="muted" style="margin-top: 6px;">The pair does not fit in GPU memory at once; Ollama swaps them between requests.</div>'
+	}
+	
+	panel.innerHTML = html
+	panel.style.display = 'block'
+}
+
+/**
+ * Pull a model from the recommendations panel
+ */
+async function pullRecommendedModel(name) {
+	document.getElementById('pull-model-name').value = name
+	await startModelPull()
+}
+
+let activePullName = null
+
+/**
+ * Pull the model named in the input, with progress and cancel
+ */
+async function startModelPull() {
+	const input = document.getElementById('pull-model-name')
+	const name = input.value.trim()
+	if (!name || activePullName) return
+	
+	activePullName = name
+	document.getElementById('pull-model-button').disabled = true
+	document.getElementById('pull-cancel-button').style.display = ''
+	document.getElementById('pull-progress').style.display = 'block'
+	document.getElementById('pull-progress-status').textContent = `Pulling ${name}...`
+	document.getElementById('pull-progress-fill').style.width = '0%'
+	
+	const result = await window.whistant.pullModel(name)
+	activePullName = null
+	document.getElementById('pull-model-button').disabled = false
+	document.getElementById('pull-cancel-button').style.display = 'none'
+	
+	const statusText = document.getElementById('pull-progress-status')
+	if (result.success) {
+		statusText.textContent = `✅ ${name} pulled`
+		document.getElementById('pull-progress-fill').style.width = '100%'
+		input.value = ''
+	} else if (result.cancelled) {
+		statusText.textContent = `⏹️ Pull of ${name} cancelled`
+	} else {
+		statusText.textContent = `❌ ${result.error}`
+	}
+	await loadManageModels()
+}
+
+/**
+ * Cancel the pull in progress
+ */
+async function cancelModelPull() {
+	if (activePullName) {
+		await window.whistant.cancelModelPull(activePullName)
+	}
+}
+
+/**
+ * Show pull progress streamed from the main process
+ */
+function setupModelPullProgressListener() {
+	window.whistant.on('model-pull-progress', (event, progress) => {
+		if (progress.name !== activePullName) return
+		
+		let text = progress.status
+		if (progress.total > 0 && progress.percent !== null) {
+			const doneGb = (progress.completed / (1024 ** 3)).toFixed(2)
+			const totalGb = (progress.total / (1024 ** 3)).toFixed(2)
+			text += ` - ${progress.percent}% (${doneGb} / ${totalGb} GB)`
+		}
+		document.getElementById('pull-progress-status').textContent = text
+		if (progress.percent !== null) {
+			document.getElementById('pull-progress-fill').style.width = `${progress.percent}%`
+		}
+	})
+}
+
+/**
+ * Delete a model (the main process asks for confirmation)
+ */
+async function deleteManagedModel(name) {
+	const result = await window.whistant.deleteModel(name)
+	if (!result.success && !result.cancelled) {
+		alert(`Could not delete ${name}: ${result.error}`)
+	}
+	document.getElementById('model-details').style.display = 'none'
+	await loadManageModels()
+}
+
+/**
+ * Show /api/show details for a model
+ */
+async function showModelDetails(name) {
+	const panel = document.getElementById('model-details')
+	panel.style.display = 'block'
+	panel.innerHTML = `<div style="color: #666;">Loading ${escapeHtml(name)}...</div>`
+	
+	const result = await window.whistant.showModel(name)
+	if (!result.success) {
+		panel.innerHTML = `<div style="color: #f44336;">${escapeHtml(result.error)}</div>`
+		return
+	}
+	
+	const details = result.details
+	let html = `<strong>${escapeHtml(name)}</strong>`
+	html += '<div class="info-item"><span class="label">Family:</span><span class="value">' + escapeHtml(details.family || '-') + '</span></div>'
+	html += '<div class="info-item"><span class="label">Parameters:</span><span class="value">' + escapeHtml(details.parameterSize || '-') + '</span></div>'
+	html += '<div class="info-item"><span class="label">Quantization:</span><span class="value">' + escapeHtml(details.quantization || '-') + '</span></div>'
+	html += '<div class="info-item"><span class="label">Context length:</span><span class="value">' + escapeHtml(details.contextLength || '-') + '</span></div>'
+	if (details.capabilities.length > 0) {
+		html += '<div class="info-item"><span class="label">Capabilities:</span><span class="value">' + escapeHtml(details.capabilities.join(', ')) + '</span></div>'
+	}
+	html += '<div style="margin-top: 8px; font-weight: 600;">Parameters</div>'
+	html += `<pre>${escapeHtml(details.parameters || '(none)')}</pre>`
+	html += '<div style="font-weight: 600;">Template</div>'
+	html += `<pre>${escapeHtml(details.template || '(none)')}</pre>`
+	panel.innerHTML = html
+}
+
 /**
  * Submit link code from user input
  */
@@ -402,6 +1056,7 @@ async function submitLinkCode() {
 				userId: registerResult.data.userId || code,
 				serverId: registerResult.data.serverId,
 				username: registerResult.data.username,
+				proxySecret: registerResult.data.proxySecret,
 				registered: true,
 				timestamp: new Date().toISOString(),
 			})
@@ -449,15 +1104,27 @@ async function checkServicesStatus() {
 	// Get current screen once at the start
 	const currentScreen = document.querySelector('.screen.active')?.id
 	
-	// Check Ollama
+	// Check the backend (Ollama or an OpenAI-compatible server)
 	const ollamaResult = await window.whistant.checkOllama()
 	const ollamaStatus = document.getElementById('ollama-status')
+	const backend = ollamaResult.backend || { label: 'Ollama', managesModels: true }
+	document.getElementById('backend-status-label').textContent = backend.label
+	document.getElementById('manage-models-button').style.display = backend.managesModels ? '' : 'none'
 	if (ollamaResult.success) {
 		ollamaStatus.textContent = '✅'
-		ollamaStatus.title = 'Ollama is running'
+		ollamaStatus.title = `${backend.label} is running`
 	} else {
 		ollamaStatus.textContent = '❌'
-		ollamaStatus.title = 'Ollama is not running'
+		ollamaStatus.title = `${backend.label} is not running`
+	}
+	// Several servers (BACKEND_URLS): warn while some are down, list them in the tooltip
+	const servers = backend.servers || []
+	if (servers.length > 1) {
+		const up = servers.filter(server => server.healthy).length
+		if (ollamaResult.success && up < servers.length) ollamaStatus.textContent = '⚠️'
+		ollamaStatus.title = `${up}/${servers.length} ${backend.label} servers up\n` + servers
+			.map(server => `${server.healthy ? '✅' : '❌'} ${server.url} (${server.models.length} models)${server.lastError ? `: ${server.lastError}` : ''}`)
+			.join('\n')
 	}
 	
 	// Update code entry screen status
@@ -478,6 +1145,17 @@ async function checkServicesStatus() {
 		if (ollamaResult.success && ollamaResult.models) {
 			await displayModelsListOnSuccess()
 		}
+		await loadGpuTelemetry()
+	}
+	
+	// Keep the Activity screen live
+	if (currentScreen === 'screen-activity') {
+		await loadActivity()
+	}
+
+	// Live tail while the Logs screen is open
+	if (currentScreen === 'screen-logs') {
+		await loadLogs()
 	}
 
 	// Check Cloudflared
@@ -485,8 +1163,7 @@ async function checkServicesStatus() {
 	const cloudflaredStatus = document.getElementById('cloudflared-status')
 	
 	if (cloudflaredResult.success) {
-		cloudflaredStatus.textContent = '✅'
-		cloudflaredStatus.title = `Tunnel: ${cloudflaredResult.url}`
+		showTunnelHealth(cloudflaredStatus, cloudflaredResult.url, cloudflaredResult.health)
 		
 		// Update the URL in success screen if displayed (UI only - server update happens in main process)
 		if (currentScreen === 'screen-success') {
@@ -529,6 +1206,33 @@ async function checkServicesStatus() {
 	}
 }
 
+/**
+ * Show the end-to-end tunnel health (probe of the public URL) on the header icon
+ */
+function showTunnelHealth(statusIcon, url, health) {
+	if (!health || health.state === 'unknown' || health.state === 'ok') {
+		statusIcon.textContent = '✅'
+		statusIcon.title = health?.state === 'ok'
+			? `Tunnel: ${url}\nReachable from outside (${health.latencyMs} ms, checked ${new Date(health.lastCheck).toLocaleTimeString()})`
+			: `Tunnel: ${url}`
+		return
+	}
+
+	if (health.state === 'restarting') {
+		statusIcon.textContent = '🔄'
+		statusIcon.title = `Tunnel: ${url}\nRestarting after ${health.consecutiveFailures} failed checks (attempt ${health.restartAttempts})`
+		return
+	}
+
+	// failing
+	statusIcon.textContent = '⚠️'
+	let title = `Tunnel: ${url}\nNot reachable from outside: ${health.lastError} (${health.consecutiveFailures} failed checks)`
+	if (health.nextRestartAt) {
+		title += `\nNext restart after ${new Date(health.nextRestartAt).toLocaleTimeString()}`
+	}
+	statusIcon.title = title
+}
+
 // Start status monitoring on load
 function startStatusMonitoring() {
 	// Clear any existing interval
@@ -547,8 +1251,7 @@ function startStatusMonitoring() {
 async function checkOllamaStatus() {
 	const result = await window.whistant.checkOllama()
 	if (!result.success) {
-		document.getElementById('error-message').textContent = 
-			'❌ Ollama is not running\n\nPlease start Ollama on localhost:11434 first.'
+		document.getElementById('error-message').textContent = backendNotRunningMessage(result.backend)
 		showScreen('screen-error')
 		return false
 	}